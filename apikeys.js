@@ -0,0 +1,132 @@
+// apikeys.js
+// Long-lived API keys for scanners and partner couriers, stored hashed in the 'apikeys' collection.
+// A key looks like tks_<id>_<secret>; only sha256(key) is kept, the plain key is shown once at issue time.
+// Keys are held in memory and reloaded from storage every KEYS_TTL_MS so verification costs no API call.
+// Issue and revoke run one at a time, so a revoke's rewrite of the collection never drops a key issued meanwhile.
+// A key may be limited to branches like a user account (empty = every branch); a branch-limited actor only issues,
+// sees and revokes keys inside its own branches.
+// Exports: API_KEY_SCOPES, issueApiKey, listApiKeys, revokeApiKey, verifyApiKey
+
+import crypto from 'crypto';
+import { listCollection, appendToCollection, replaceCollection } from './storage.js';
+import { coversBranches, grantableBranches } from './branches.js';
+
+export const API_KEY_SCOPES = ['track:read', 'track:write', 'events:append'];
+
+const COLLECTION = 'apikeys';
+const KEYS_TTL_MS = 60000;
+
+let keys = [];
+let loadedAt = 0;
+let queue = Promise.resolve();
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/* Run fn after every earlier issue or revoke has finished */
+function serialized(fn) {
+  const result = queue.then(fn, fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+/* Never hand the hash out */
+function publicView(k) {
+  const { hash, ...rest } = k;
+  return rest;
+}
+
+async function loadKeys(force = false) {
+  if (!force && loadedAt && Date.now() - loadedAt < KEYS_TTL_MS) return keys;
+  const items = await listCollection(COLLECTION);
+  keys = items.map((k) => ({
+    ...k,
+    scopes: Array.isArray(k.scopes) ? k.scopes : [],
+    branches: Array.isArray(k.branches) ? k.branches : [],
+  }));
+  loadedAt = Date.now();
+  return keys;
+}
+
+/**
+ * issueApiKey({ name, scopes, branches, createdBy }, actor)
+ *
+ * Returns { key, apiKey } where key is the plain secret (only available now)
+ * and apiKey the stored metadata. Throws a 400 error for unknown scopes; branches as for grantableBranches.
+ */
+export async function issueApiKey({ name, scopes, branches, createdBy }, actor = null) {
+  const requested = Array.isArray(scopes) ? scopes.map((s) => String(s).trim()).filter(Boolean) : [];
+  const unknown = requested.filter((s) => !API_KEY_SCOPES.includes(s));
+  if (!name || !String(name).trim()) {
+    const err = new Error('name is required');
+    err.status = 400;
+    throw err;
+  }
+  if (requested.length === 0 || unknown.length) {
+    const err = new Error(`scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  const branchList = grantableBranches(actor, branches);
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `tks_${id}_${secret}`;
+
+  const apiKey = {
+    id,
+    name: String(name).trim(),
+    prefix: key.slice(0, 12),
+    hash: hashKey(key),
+    scopes: [...new Set(requested)],
+    branches: branchList,
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy || '',
+    revokedAt: '',
+  };
+
+  await serialized(async () => {
+    await appendToCollection(COLLECTION, apiKey);
+    await loadKeys(true);
+  });
+  return { key, apiKey: publicView(apiKey) };
+}
+
+export async function listApiKeys(actor = null) {
+  const all = await loadKeys(true);
+  return all.filter((k) => coversBranches(actor, k.branches)).map(publicView);
+}
+
+/* Mark a key revoked (kept for the record). Returns the key metadata or null if unknown or outside the actor's branches */
+export function revokeApiKey(id, actor = null) {
+  return serialized(async () => {
+    // re-read inside the queue: the rewrite below must include every key issued so far
+    const all = await loadKeys(true);
+    const target = all.find((k) => k.id === id);
+    if (!target || !coversBranches(actor, target.branches)) return null;
+    if (target.revokedAt) return publicView(target);
+
+    const revoked = { ...target, revokedAt: new Date().toISOString() };
+    const next = all.map((k) => (k === target ? revoked : k));
+    await replaceCollection(COLLECTION, next);
+    keys = next;
+    return publicView(revoked);
+  });
+}
+
+/* Resolve a presented key to its active metadata, or null */
+export async function verifyApiKey(presented) {
+  const match = /^tks_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(String(presented || '').trim());
+  if (!match) return null;
+
+  const all = await loadKeys();
+  const candidate = all.find((k) => k.id === match[1]);
+  if (!candidate || candidate.revokedAt) return null;
+
+  const expected = Buffer.from(String(candidate.hash), 'hex');
+  const actual = Buffer.from(hashKey(String(presented).trim()), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  return publicView(candidate);
+}
@@ -0,0 +1,181 @@
+// audit.js
+// Audit trail of tracking record changes. Subscribes to storage writes (onRecordChange) and keeps one
+// entry per change in the 'audit' collection (an '_audit' tab with the sheets backend):
+//   { id, at, actor, actorType, action, trackingId, branch, source, changes }
+// changes is a field-level diff { field: { from, to } }; history is diffed by entry ({ added, removed }).
+// Entries are buffered for a moment and appended in batches, so a large import costs one append.
+// Exports: startAuditLog, diffRecords, flushAudit, listAudit
+
+import crypto from 'crypto';
+import { onRecordChange, appendToCollection, listCollection } from './storage.js';
+import { normalizeTrackingId, parseDate } from './records.js';
+
+const COLLECTION = 'audit';
+const RETRY_DELAY_MS = 5000;
+const MAX_PENDING = 10000;
+// Google Sheets cells hold at most 50,000 characters
+const MAX_CHANGES_LENGTH = 45000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+let pending = [];
+let flushing = Promise.resolve();
+let scheduled = false;
+let unsubscribe = null;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/* History entries present in list a but not in list b (compared as JSON) */
+function missingFrom(a, b) {
+  const keys = new Set((Array.isArray(b) ? b : []).map((e) => JSON.stringify(e)));
+  return (Array.isArray(a) ? a : []).filter((e) => !keys.has(JSON.stringify(e)));
+}
+
+/* Field-level diff of two records (either may be null); unchanged fields are left out */
+export function diffRecords(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((k) => {
+    const from = before ? before[k] : undefined;
+    const to = after ? after[k] : undefined;
+    if (k === 'history') {
+      const added = missingFrom(to, from);
+      const removed = missingFrom(from, to);
+      if (added.length || removed.length) changes.history = { added, removed };
+      return;
+    }
+    if (isEmpty(from) && isEmpty(to)) return;
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+    changes[k] = { from: isEmpty(from) ? null : from, to: isEmpty(to) ? null : to };
+  });
+  return changes;
+}
+
+/* Who made a change: user accounts by username, API keys as 'apikey:<id>' */
+function describeActor(actor) {
+  if (!actor) return { actor: 'system', actorType: 'system' };
+  if (actor.apiKey) return { actor: `apikey:${actor.apiKey}`, actorType: 'apiKey', actorName: actor.name || '' };
+  return { actor: actor.username || 'unknown', actorType: 'user' };
+}
+
+function toEntry(change) {
+  let changes = diffRecords(change.before, change.after);
+  if (JSON.stringify(changes).length > MAX_CHANGES_LENGTH) {
+    changes = { truncated: true, fields: Object.keys(changes) };
+  }
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    at: change.at,
+    ...describeActor(change.actor),
+    action: change.action,
+    trackingId: change.trackingId,
+    branch: change.branch,
+    source: change.source,
+    changes,
+  };
+}
+
+function schedule(delayMs = 0) {
+  if (scheduled) return;
+  scheduled = true;
+  setTimeout(() => {
+    scheduled = false;
+    flushAudit().catch(() => {});
+  }, delayMs).unref();
+}
+
+/* Write buffered entries; on failure they are kept (up to MAX_PENDING) and retried */
+export function flushAudit() {
+  flushing = flushing.then(async () => {
+    if (!pending.length) return;
+    const batch = pending;
+    pending = [];
+    try {
+      await appendToCollection(COLLECTION, batch);
+    } catch (error) {
+      console.error(`Audit log write failed for ${batch.length} entries:`, error.message || error);
+      pending = [...batch, ...pending].slice(-MAX_PENDING);
+      schedule(RETRY_DELAY_MS);
+    }
+  });
+  return flushing;
+}
+
+/* Start recording storage writes (called once after initStorage) */
+export function startAuditLog() {
+  if (unsubscribe) return;
+  unsubscribe = onRecordChange((change) => {
+    pending.push(toEntry(change));
+    if (pending.length > MAX_PENDING) pending.splice(0, pending.length - MAX_PENDING);
+    schedule();
+  });
+}
+
+function positiveInt(value, name, fallback, max = Infinity) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, `${name} must be a positive integer`);
+  return Math.min(n, max);
+}
+
+/* Date bound; a bare date used as an upper bound covers that whole day */
+function parseBound(value, name, endOfDay) {
+  if (value === undefined || value === '') return null;
+  const ms = parseDate(value);
+  if (ms === null) throw httpError(400, `${name} is not a valid date`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim()) ? ms + 86400000 - 1 : ms;
+}
+
+/**
+ * listAudit(query, { branches })
+ *
+ * Filters: trackingId, actor (username or apikey:<id>), action, branch, from / to (dates, inclusive).
+ * branches (branch ids) limits the log to changes in those branches; null shows every entry.
+ * Newest first, paginated with page + limit (default 100, max 1000).
+ * Returns { entries, total, page, limit, pages }.
+ */
+export async function listAudit(query = {}, { branches = null } = {}) {
+  const trackingId = query.trackingId ? normalizeTrackingId(query.trackingId) : '';
+  const actor = query.actor ? String(query.actor).trim().toLowerCase() : '';
+  const action = query.action ? String(query.action).trim().toLowerCase() : '';
+  const branch = query.branch ? String(query.branch).trim().toLowerCase() : '';
+  const from = parseBound(query.from, 'from', false);
+  const to = parseBound(query.to, 'to', true);
+  const limit = positiveInt(query.limit, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+  const page = positiveInt(query.page, 'page', 1);
+
+  // include entries still waiting in the buffer
+  await flushAudit();
+  const all = await listCollection(COLLECTION);
+
+  const matched = all
+    .filter((e) => {
+      if (trackingId && normalizeTrackingId(e.trackingId) !== trackingId) return false;
+      if (actor && String(e.actor || '').toLowerCase() !== actor) return false;
+      if (action && String(e.action || '').toLowerCase() !== action) return false;
+      if (branch && String(e.branch || '') !== branch) return false;
+      if (branches && !branches.includes(String(e.branch || ''))) return false;
+      if (from !== null || to !== null) {
+        const ms = parseDate(e.at);
+        if (ms === null || (from !== null && ms < from) || (to !== null && ms > to)) return false;
+      }
+      return true;
+    })
+    .reverse();
+
+  return {
+    entries: matched.slice((page - 1) * limit, page * limit),
+    total: matched.length,
+    page,
+    limit,
+    pages: Math.max(1, Math.ceil(matched.length / limit)),
+  };
+}
@@ -0,0 +1,177 @@
+// branches.js
+// Branch offices (or tenants), each keeping its records in its own sheet tab.
+// Every branch has an id, a display name, the tab it lives in and optional tracking ID prefixes: a new record
+// whose ID starts with one of them is written to that branch, and IDs generated for the branch use its first prefix.
+// Lookups by tracking ID search every branch; listings and writes of signed-in users are limited to the branches
+// on their account (no branches = all). A branch-limited account can only grant its own branches to the accounts
+// and API keys it manages. Tabs starting with '_' hold collections and cannot be branches.
+// Without a config there is one branch, 'main', in SHEET_NAME (or the first tab), exactly as before.
+// The config is read from BRANCHES_CONFIG (JSON) or BRANCHES_CONFIG_PATH (JSON file).
+// Exports: DEFAULT_BRANCH_ID, loadBranchConfig, getBranches, getBranch, getDefaultBranch, prefixBranch,
+//          branchForTrackingId, normalizeBranchList, branchScope, canAccessBranch, coversBranches, grantableBranches
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeTrackingId } from './records.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_BRANCH_ID = 'main';
+
+const BRANCH_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+let branches = null;
+let byId = new Map();
+let defaultBranch = null;
+let byPrefix = []; // [{ prefix, branch }], longest prefix first
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* Validate a config and build the indexes; throws on duplicate ids, tabs or prefixes */
+function compile(candidate) {
+  const list = candidate.branches;
+  if (!Array.isArray(list) || !list.length) throw new Error('Branch config needs a non-empty branches list');
+
+  const ids = new Set();
+  const tabs = new Set();
+  const prefixes = new Map();
+  const compiled = list.map((b, i) => {
+    const id = String((b && b.id) || '').trim().toLowerCase();
+    if (!BRANCH_ID_RE.test(id)) throw new Error(`Branch config: branch ${i + 1} needs an id of 1-32 characters a-z, 0-9, - and _`);
+    if (ids.has(id)) throw new Error(`Branch config: duplicate branch id "${id}"`);
+    ids.add(id);
+
+    const tab = typeof b.tab === 'string' ? b.tab.trim() : '';
+    if (!tab && list.length > 1) throw new Error(`Branch config: branch "${id}" needs a tab`);
+    if (tab.startsWith('_')) throw new Error(`Branch config: tab "${tab}" of branch "${id}" starts with '_', which is reserved for collections`);
+    if (tabs.has(tab.toLowerCase())) throw new Error(`Branch config: tab "${tab}" is used by more than one branch`);
+    tabs.add(tab.toLowerCase());
+
+    const own = (Array.isArray(b.prefixes) ? b.prefixes : []).map((p) => normalizeTrackingId(p)).filter(Boolean);
+    own.forEach((p) => {
+      if (prefixes.has(p)) throw new Error(`Branch config: prefix "${p}" is used by branches "${prefixes.get(p)}" and "${id}"`);
+      prefixes.set(p, id);
+    });
+
+    return { id, name: b.name ? String(b.name) : id, tab, prefixes: own };
+  });
+
+  const defaultId = candidate.default ? String(candidate.default).trim().toLowerCase() : compiled[0].id;
+  const fallback = compiled.find((b) => b.id === defaultId);
+  if (!fallback) throw new Error(`Branch config: default branch "${candidate.default}" is not in the branches list`);
+
+  branches = compiled;
+  byId = new Map(compiled.map((b) => [b.id, b]));
+  defaultBranch = fallback;
+  byPrefix = [...prefixes.entries()]
+    .map(([prefix, id]) => ({ prefix, branch: byId.get(id) }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+  return branches;
+}
+
+/**
+ * loadBranchConfig()
+ *
+ * Config shape: { branches: [{ id, name?, tab, prefixes?: [...] }], default?: id }.
+ * Without BRANCHES_CONFIG / BRANCHES_CONFIG_PATH there is a single 'main' branch whose tab is chosen by the
+ * storage backend (SHEET_NAME or the first tab). Throws on an invalid config so a bad deploy fails at startup.
+ */
+export function loadBranchConfig() {
+  let override = null;
+  try {
+    if (process.env.BRANCHES_CONFIG) override = JSON.parse(process.env.BRANCHES_CONFIG);
+    else if (process.env.BRANCHES_CONFIG_PATH) {
+      const file = path.isAbsolute(process.env.BRANCHES_CONFIG_PATH)
+        ? process.env.BRANCHES_CONFIG_PATH
+        : path.join(__dirname, process.env.BRANCHES_CONFIG_PATH);
+      override = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    throw new Error('Branch config is not valid JSON: ' + e.message);
+  }
+
+  if (!override) return compile({ branches: [{ id: DEFAULT_BRANCH_ID, name: 'Main', tab: '' }] });
+  compile(override);
+  console.log('Branch config loaded with', branches.length, 'branches:', branches.map((b) => b.id).join(', '));
+  return branches;
+}
+
+export function getBranches() {
+  if (!branches) loadBranchConfig();
+  return branches;
+}
+
+export function getBranch(id) {
+  getBranches();
+  return byId.get(String(id || '').trim().toLowerCase()) || null;
+}
+
+export function getDefaultBranch() {
+  getBranches();
+  return defaultBranch;
+}
+
+/* Branch whose prefix (the longest that matches) starts this tracking ID, or null */
+export function prefixBranch(trackingId) {
+  getBranches();
+  const key = normalizeTrackingId(trackingId);
+  const match = byPrefix.find((p) => key.startsWith(p.prefix));
+  return match ? match.branch : null;
+}
+
+/* Branch a new record with this tracking ID belongs to: by prefix, else the default branch */
+export function branchForTrackingId(trackingId) {
+  return prefixBranch(trackingId) || getDefaultBranch();
+}
+
+/* Branch ids of a user account from a request body: array or comma separated string; [] means all branches */
+export function normalizeBranchList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  const ids = [...new Set(raw.map((v) => String(v).trim().toLowerCase()).filter(Boolean))];
+  const unknown = ids.filter((id) => !getBranch(id));
+  if (unknown.length) throw httpError(400, `Unknown branch: ${unknown.join(', ')}`);
+  return ids;
+}
+
+/* Branch ids a caller may see and write: the account's branches, or all for unrestricted accounts and API keys */
+export function branchScope(user) {
+  const all = getBranches().map((b) => b.id);
+  const own = user && Array.isArray(user.branches) ? user.branches : [];
+  return own.length ? all.filter((id) => own.includes(id)) : all;
+}
+
+export function canAccessBranch(user, branchId) {
+  return branchScope(user).includes(branchId);
+}
+
+/* Whether an account or API key with these branches (empty = all) is within user's reach; unrestricted users reach all */
+export function coversBranches(user, branches) {
+  const own = user && Array.isArray(user.branches) ? user.branches : [];
+  if (!own.length) return true;
+  const list = Array.isArray(branches) ? branches : [];
+  return list.length > 0 && list.every((id) => own.includes(id));
+}
+
+/**
+ * grantableBranches(user, value)
+ *
+ * The branch list user may give an account or API key (value as for normalizeBranchList). Unrestricted users grant
+ * any list; a branch-limited user grants a subset of their own branches (all of them when value is undefined), never
+ * every branch. Throws 400 for unknown ids, 403 beyond the user's own branches.
+ */
+export function grantableBranches(user, value) {
+  const ids = normalizeBranchList(value);
+  const own = user && Array.isArray(user.branches) ? user.branches : [];
+  if (!own.length) return ids;
+  if (value === undefined) return [...own];
+  if (!ids.length) throw httpError(403, 'Only accounts without branch limits can grant every branch');
+  const denied = ids.filter((id) => !own.includes(id));
+  if (denied.length) throw httpError(403, `No access to branch: ${denied.join(', ')}`);
+  return ids;
+}
@@ -0,0 +1,213 @@
+// cache.js
+// In-process read-through index over the active storage backend.
+// Holds every branch tab keyed by normalized tracking ID (with its branch and row number), refreshed on a TTL
+// and patched in place on our own writes so lookups never trigger a full-sheet download. Writes made while a
+// reload runs are replayed onto the reloaded snapshot, so a steady write load never forces extra reloads.
+// Exports: initCache, getSnapshot, getHeaderRows, lookup, lookupMany, refreshCache, recordCreated, recordUpdated, recordDeleted, invalidateCache, cacheStats
+
+import { normalizeTrackingId } from './records.js';
+
+let loader = null;
+let ttlMs = 30000;
+
+let headers = [];
+let branchHeaders = {}; // branch id -> header row
+let entries = []; // [{ rowIndex, branch, data }] in branch and sheet order
+let index = new Map(); // normalized trackingId -> entry
+let loadedAt = 0;
+let inflight = null;
+let journal = null; // replays of our writes made while a load runs, null when none runs
+let invalidations = 0;
+let hits = 0;
+let misses = 0;
+let refreshes = 0;
+
+/* Copy a record so callers cannot mutate cached state */
+function clone(data) {
+  return structuredClone(data);
+}
+
+function rebuildIndex() {
+  index = new Map();
+  entries.forEach((entry) => {
+    const key = normalizeTrackingId(entry.data.trackingId);
+    // first row wins, same as a linear scan of the tabs in branch order
+    if (key && !index.has(key)) index.set(key, entry);
+  });
+}
+
+/**
+ * initCache(load, { ttlMs })
+ *
+ *  - load: async () => { headers, branchHeaders, rows: [{ rowIndex, branch, data }] } reading the full backend.
+ *  - ttlMs: how long a snapshot is served before it is reloaded (CACHE_TTL_MS, default 30s).
+ */
+export function initCache(load, opts = {}) {
+  loader = load;
+  if (opts.ttlMs !== undefined && Number.isFinite(Number(opts.ttlMs))) ttlMs = Math.max(0, Number(opts.ttlMs));
+  invalidateCache();
+}
+
+/* Reload the snapshot from the backend; concurrent callers share one load */
+export async function refreshCache() {
+  if (!loader) throw new Error('Cache not initialized. Call initCache() first.');
+  if (inflight) return inflight;
+
+  inflight = (async () => {
+    // our writes that land while loading are journaled and replayed onto the new snapshot, which may predate them
+    journal = [];
+    const invalidation = invalidations;
+    try {
+      const loaded = await loader();
+      headers = loaded.headers || [];
+      branchHeaders = loaded.branchHeaders || {};
+      entries = (loaded.rows || []).map((r) => ({ rowIndex: r.rowIndex, branch: r.branch || null, data: r.data }));
+      rebuildIndex();
+      refreshes++;
+      loadedAt = Date.now();
+      const writes = journal;
+      journal = null;
+      writes.forEach((replay) => replay());
+      // an invalidation cannot be replayed: serve this snapshot for this read only, the next one reloads
+      if (invalidation !== invalidations) loadedAt = 0;
+    } finally {
+      journal = null;
+      inflight = null;
+    }
+  })();
+
+  return inflight;
+}
+
+async function ensureFresh() {
+  if (!loadedAt || Date.now() - loadedAt > ttlMs) await refreshCache();
+}
+
+/**
+ * Full snapshot: { headers, branchHeaders, rows, rowBranches } with rows as plain records in branch and sheet order
+ * and rowBranches the branch of each row. opts.branches limits the rows to those branches.
+ */
+export async function getSnapshot(opts = {}) {
+  await ensureFresh();
+  const picked = opts.branches ? entries.filter((e) => opts.branches.includes(e.branch)) : entries;
+  return {
+    headers: [...headers],
+    branchHeaders: structuredClone(branchHeaders),
+    rows: picked.map((e) => clone(e.data)),
+    rowBranches: picked.map((e) => e.branch),
+  };
+}
+
+/* Header rows only: { headers, branchHeaders } (no copy of the records) */
+export async function getHeaderRows() {
+  await ensureFresh();
+  return { headers: [...headers], branchHeaders: structuredClone(branchHeaders) };
+}
+
+/* Constant-time lookup. Returns { rowIndex, branch, data } or null */
+export async function lookup(trackingId) {
+  await ensureFresh();
+  const entry = index.get(normalizeTrackingId(trackingId));
+  if (!entry) {
+    misses++;
+    return null;
+  }
+  hits++;
+  return { rowIndex: entry.rowIndex, branch: entry.branch, data: clone(entry.data) };
+}
+
+/* Several lookups against one snapshot. Returns an array aligned with trackingIds ({ rowIndex, branch, data } or null) */
+export async function lookupMany(trackingIds) {
+  await ensureFresh();
+  return trackingIds.map((trackingId) => {
+    const entry = index.get(normalizeTrackingId(trackingId));
+    if (!entry) {
+      misses++;
+      return null;
+    }
+    hits++;
+    return { rowIndex: entry.rowIndex, branch: entry.branch, data: clone(entry.data) };
+  });
+}
+
+/* Patch the snapshot after our own append to a branch tab (rowIndex may be a best-effort hint) */
+export function recordCreated(data, branch = null, rowIndex = null) {
+  const copy = clone(data);
+  if (journal) journal.push(() => applyCreated(copy, branch, rowIndex, true));
+  if (loadedAt) applyCreated(copy, branch, rowIndex, false);
+}
+
+/* replayed: the loaded snapshot may already hold the row, then only its data is set */
+function applyCreated(data, branch, rowIndex, replayed) {
+  const key = normalizeTrackingId(data.trackingId);
+  const existing = key && index.get(key);
+  if (replayed && existing && existing.branch === branch) {
+    existing.data = clone(data);
+    return;
+  }
+  const last = entries.reduce((max, e) => (e.branch === branch && e.rowIndex > max ? e.rowIndex : max), 1);
+  const entry = { rowIndex: rowIndex || last + 1, branch, data: clone(data) };
+  // keep branch order so the first-wins index matches a reload
+  const after = entries.findLastIndex((e) => e.branch === branch);
+  if (after === -1) entries.push(entry);
+  else entries.splice(after + 1, 0, entry);
+  if (key && !existing) index.set(key, entry);
+}
+
+/* Patch the snapshot after our own update */
+export function recordUpdated(trackingId, data) {
+  const copy = clone(data);
+  if (journal) journal.push(() => applyUpdated(trackingId, copy));
+  if (loadedAt) applyUpdated(trackingId, copy);
+}
+
+function applyUpdated(trackingId, data) {
+  const key = normalizeTrackingId(trackingId);
+  const entry = index.get(key);
+  if (!entry) {
+    invalidateCache();
+    return;
+  }
+  entry.data = clone(data);
+  const newKey = normalizeTrackingId(data.trackingId);
+  if (newKey !== key) rebuildIndex();
+}
+
+/* Patch the snapshot after our own delete; rows below the deleted one in the same tab shift up */
+export function recordDeleted(trackingId) {
+  if (journal) journal.push(() => applyDeleted(trackingId, true));
+  if (loadedAt) applyDeleted(trackingId, false);
+}
+
+/* replayed: a row missing from the loaded snapshot was read after the delete, nothing to do */
+function applyDeleted(trackingId, replayed) {
+  const entry = index.get(normalizeTrackingId(trackingId));
+  if (!entry) {
+    if (!replayed) invalidateCache();
+    return;
+  }
+  entries = entries.filter((e) => e !== entry);
+  entries.forEach((e) => {
+    if (e.branch === entry.branch && e.rowIndex > entry.rowIndex) e.rowIndex--;
+  });
+  rebuildIndex();
+}
+
+/* Drop the snapshot; the next read reloads it, and a load already running is not kept */
+export function invalidateCache() {
+  invalidations++;
+  loadedAt = 0;
+}
+
+export function cacheStats() {
+  return {
+    ttlMs,
+    size: index.size,
+    rows: entries.length,
+    loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+    ageMs: loadedAt ? Date.now() - loadedAt : null,
+    hits,
+    misses,
+    refreshes,
+  };
+}
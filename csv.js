@@ -0,0 +1,83 @@
+// csv.js
+// Minimal RFC 4180 CSV reading/writing (quoted fields, escaped quotes, CRLF, BOM).
+// The delimiter is detected from the header line (',' ';' or tab) since partner manifests vary.
+// Exports: parseCsv, toCsvLine
+
+/* Pick the delimiter that splits the header line into the most columns (quotes ignored) */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const unquoted = firstLine.replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  [',', ';', '\t'].forEach((d) => {
+    const count = unquoted.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/* Parse CSV text into an array of rows (arrays of strings); blank lines are skipped */
+export function parseCsv(input, delimiter) {
+  const text = String(input || '').replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error('CSV has an unterminated quoted field');
+  if (field !== '' || row.length) endRow();
+
+  return rows;
+}
+
+/* One CSV line (with trailing CRLF); values are quoted when needed, objects written as JSON */
+export function toCsvLine(values) {
+  return (
+    values
+      .map((v) => {
+        if (v === undefined || v === null) return '';
+        const str = typeof v === 'string' ? v : typeof v === 'object' ? JSON.stringify(v) : String(v);
+        // guard against formula injection when the file is opened in a spreadsheet app
+        // (signed numbers such as +6591234567 are left alone)
+        const safe = /^[=+\-@]/.test(str) && !/^[+-]\d[\d\s.]*$/.test(str) ? `'${str}` : str;
+        return /[",\r\n;\t]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+      })
+      .join(',') + '\r\n'
+  );
+}
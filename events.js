@@ -0,0 +1,78 @@
+// events.js
+// Shipment history events: validation of a single scan event and chronological ordering of history.
+// Exports: EVENT_FIELDS, validateEvent, eventTimestamp, sortHistory, appendToHistory
+
+import { parseDate } from './records.js';
+import { normalizeStatus } from './status.js';
+
+export const EVENT_FIELDS = ['date', 'location', 'message', 'status'];
+
+const MAX_FIELD_LENGTH = 500;
+
+/* Event date as epoch ms, or null (see parseDate for accepted formats) */
+export function eventTimestamp(event) {
+  if (!event || typeof event !== 'object') return null;
+  return parseDate(event.date);
+}
+
+/**
+ * validateEvent(input)
+ *
+ * Returns { event, errors }. event only carries EVENT_FIELDS; date defaults to now,
+ * message is required, every field must be a string of at most MAX_FIELD_LENGTH chars,
+ * status (optional) must be in the status vocabulary and is stored in its canonical spelling.
+ */
+export function validateEvent(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { event: null, errors: ['Event must be a JSON object'] };
+  }
+
+  const event = {};
+  EVENT_FIELDS.forEach((f) => {
+    const val = input[f];
+    if (val === undefined || val === null) return;
+    if (typeof val !== 'string' && typeof val !== 'number') {
+      errors.push(`${f} must be a string`);
+      return;
+    }
+    const str = String(val).trim();
+    if (str.length > MAX_FIELD_LENGTH) errors.push(`${f} must be at most ${MAX_FIELD_LENGTH} characters`);
+    event[f] = str;
+  });
+
+  if (!event.message) errors.push('message is required');
+
+  if (event.status) {
+    const canonical = normalizeStatus(event.status);
+    if (canonical) event.status = canonical;
+    else errors.push(`status "${event.status}" is not a known status`);
+  }
+
+  if (!event.date) event.date = new Date().toISOString();
+  else if (eventTimestamp(event) === null) errors.push('date is not a valid date');
+
+  if (event.location === undefined) event.location = '';
+
+  return { event: errors.length ? null : event, errors };
+}
+
+/* Stable chronological sort; entries without a parseable date keep their place ahead of dated ones */
+export function sortHistory(history) {
+  const list = Array.isArray(history) ? history : [];
+  return list
+    .map((entry, i) => ({ entry, i, ts: eventTimestamp(entry) }))
+    .sort((a, b) => {
+      const ta = a.ts === null ? -Infinity : a.ts;
+      const tb = b.ts === null ? -Infinity : b.ts;
+      if (ta !== tb) return ta < tb ? -1 : 1;
+      return a.i - b.i;
+    })
+    .map((x) => x.entry);
+}
+
+/* Append one event and return { history, isLatest } where isLatest means nothing newer was already recorded */
+export function appendToHistory(history, event) {
+  const sorted = sortHistory([...(Array.isArray(history) ? history : []), event]);
+  return { history: sorted, isLatest: sorted[sorted.length - 1] === event };
+}
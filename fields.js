@@ -0,0 +1,170 @@
+// fields.js
+// Declarative field visibility policy applied to every record leaving the API.
+// Audiences, least to most privileged: public (GET /api/track), staff (any signed-in user or API key), admin.
+// Each field names the lowest audience that may see it, optionally with masks for lower audiences.
+// Columns not listed fall back to defaultVisibility, so a new sheet column never leaks to the public.
+// The policy can be overridden with FIELD_POLICY (JSON) or FIELD_POLICY_PATH (JSON file); fields merge over the defaults.
+// Exports: AUDIENCES, DEFAULT_FIELD_POLICY, MASKS, loadFieldPolicy, getFieldPolicy, applyFieldPolicy, visibleHeaders
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const AUDIENCES = ['public', 'staff', 'admin'];
+
+/**
+ * fields: { name: 'public' | 'staff' | 'admin' | 'hidden' | { visibility, mask: { audience: maskName } } }
+ * history.entryFields uses the same shorthand for keys inside each history entry.
+ */
+export const DEFAULT_FIELD_POLICY = {
+  defaultVisibility: 'staff',
+  fields: {
+    trackingId: 'public',
+    status: 'public',
+    origin: 'public',
+    destination: 'public',
+    lastUpdated: 'public',
+    estimatedDelivery: 'public',
+    history: 'public',
+    customerPhone: { visibility: 'staff', mask: { public: 'last4' } },
+    phone: { visibility: 'staff', mask: { public: 'last4' } },
+    customerEmail: { visibility: 'staff', mask: { public: 'email' } },
+    email: { visibility: 'staff', mask: { public: 'email' } },
+    customerName: { visibility: 'staff', mask: { public: 'initials' } },
+    price: 'admin',
+    internalNotes: 'admin',
+  },
+  history: {
+    defaultVisibility: 'staff',
+    entryFields: {
+      date: 'public',
+      location: 'public',
+      message: 'public',
+      status: 'public',
+      completed: 'public',
+    },
+  },
+};
+
+export const MASKS = {
+  /* keep the last 4 characters: +6591234567 -> *******4567 */
+  last4: (v) => {
+    const str = String(v);
+    return str.length <= 4 ? str : '*'.repeat(str.length - 4) + str.slice(-4);
+  },
+  /* first letter of the local part: maria@example.com -> m***@example.com */
+  email: (v) => {
+    const [local, domain] = String(v).split('@');
+    if (!domain) return '***';
+    return `${local.slice(0, 1)}***@${domain}`;
+  },
+  /* Maria Tan -> M. T. */
+  initials: (v) =>
+    String(v)
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((w) => `${w[0].toUpperCase()}.`)
+      .join(' '),
+  redact: () => '***',
+};
+
+let policy = DEFAULT_FIELD_POLICY;
+
+function rank(audience) {
+  if (audience === 'hidden') return Infinity;
+  const idx = AUDIENCES.indexOf(audience);
+  return idx === -1 ? Infinity : idx;
+}
+
+function normalizeRule(rule, fallback) {
+  if (!rule) return { visibility: fallback, mask: {} };
+  if (typeof rule === 'string') return { visibility: rule, mask: {} };
+  return { visibility: rule.visibility || fallback, mask: rule.mask || {} };
+}
+
+/* Value of one field for an audience: { show, value } */
+function resolve(rule, audience, value) {
+  if (rank(audience) >= rank(rule.visibility)) return { show: true, value };
+  const maskName = rule.mask[audience];
+  if (maskName && MASKS[maskName]) {
+    const empty = value === undefined || value === null || value === '';
+    return { show: true, value: empty ? value : MASKS[maskName](value) };
+  }
+  return { show: false };
+}
+
+/* Load the policy from FIELD_POLICY / FIELD_POLICY_PATH (called once at startup) */
+export function loadFieldPolicy() {
+  let override = null;
+  try {
+    if (process.env.FIELD_POLICY) override = JSON.parse(process.env.FIELD_POLICY);
+    else if (process.env.FIELD_POLICY_PATH) {
+      const file = path.isAbsolute(process.env.FIELD_POLICY_PATH)
+        ? process.env.FIELD_POLICY_PATH
+        : path.join(__dirname, process.env.FIELD_POLICY_PATH);
+      override = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    throw new Error('Field policy is not valid JSON: ' + e.message);
+  }
+
+  if (!override) {
+    policy = DEFAULT_FIELD_POLICY;
+    return policy;
+  }
+
+  const history = override.history || {};
+  policy = {
+    defaultVisibility: override.defaultVisibility || DEFAULT_FIELD_POLICY.defaultVisibility,
+    fields: { ...DEFAULT_FIELD_POLICY.fields, ...(override.fields || {}) },
+    history: {
+      defaultVisibility: history.defaultVisibility || DEFAULT_FIELD_POLICY.history.defaultVisibility,
+      entryFields: { ...DEFAULT_FIELD_POLICY.history.entryFields, ...(history.entryFields || {}) },
+    },
+  };
+  console.log('Field policy loaded with', Object.keys(policy.fields).length, 'field rules');
+  return policy;
+}
+
+export function getFieldPolicy() {
+  return policy;
+}
+
+/* Copy of record with only the fields (and history entry keys) the audience may see, masked as configured */
+export function applyFieldPolicy(record, audience) {
+  if (!record || typeof record !== 'object') return record;
+  const out = {};
+
+  Object.keys(record).forEach((k) => {
+    const rule = normalizeRule(policy.fields[k], policy.defaultVisibility);
+    const { show, value } = resolve(rule, audience, record[k]);
+    if (!show) return;
+
+    if (k === 'history' && Array.isArray(value)) {
+      out[k] = value.map((entry) => {
+        if (!entry || typeof entry !== 'object') return entry;
+        const filtered = {};
+        Object.keys(entry).forEach((ek) => {
+          const entryRule = normalizeRule(policy.history.entryFields[ek], policy.history.defaultVisibility);
+          const res = resolve(entryRule, audience, entry[ek]);
+          if (res.show) filtered[ek] = res.value;
+        });
+        return filtered;
+      });
+    } else {
+      out[k] = value;
+    }
+  });
+
+  return out;
+}
+
+/* Header names the audience may see (masked columns count as visible) */
+export function visibleHeaders(headers, audience) {
+  return (headers || []).filter((h) => {
+    const rule = normalizeRule(policy.fields[h], policy.defaultVisibility);
+    return resolve(rule, audience, '').show;
+  });
+}
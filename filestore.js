@@ -0,0 +1,308 @@
+// filestore.js
+// ESM module implementing the storage backend interface on top of a local JSON file.
+// Intended for dev, CI and laptops where no service account / spreadsheet is available.
+// The file mirrors a sheet: a header row plus rows of string cells, so history parsing
+// and tracking ID matching behave exactly like the Google Sheets backend.
+// Branch tabs (see branches.js) are kept under "tabs" by tab name; a branch without a tab uses the top-level rows.
+// Exports: initFileStore, getHeaders, getAllEntries, getAllRows, getRowByTrackingId, createRow, updateRow, patchRow, deleteRow,
+//          upsertRows, writeHeaders, listCollection, appendToCollection, replaceCollection
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeTrackingId, rowToRecord, recordToPayload, mergeRecord, checkVersion } from './records.js';
+import { headerIndex, checkHeaders, describeHeaderReport, emptyHeaderError } from './schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_HEADERS = ['trackingId', 'status', 'origin', 'destination', 'lastUpdated', 'estimatedDelivery', 'history'];
+
+let storePath = null;
+let branchTabs = new Map(); // branch id -> tab name ('' = the top-level headers/rows)
+
+/* Ensure initialized before calls */
+async function ensureInitialized() {
+  if (!storePath) throw new Error('File store not initialized. Call initFileStore() first.');
+}
+
+/* Read the whole store file: { headers, rows, tabs, collections } where rows are arrays of cells */
+function readStore() {
+  const raw = fs.readFileSync(storePath, 'utf8');
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`File store at ${storePath} is not valid JSON: ${e.message}`);
+  }
+  const headers = Array.isArray(parsed.headers) ? parsed.headers.map((h) => (typeof h === 'string' ? h.trim() : h)) : [];
+  const rows = Array.isArray(parsed.rows) ? parsed.rows.filter((r) => Array.isArray(r)) : [];
+  const tabs = parsed.tabs && typeof parsed.tabs === 'object' ? parsed.tabs : {};
+  const collections = parsed.collections && typeof parsed.collections === 'object' ? parsed.collections : {};
+  return { headers, rows, tabs, collections };
+}
+
+/* The { headers, rows } of a branch inside a store read by readStore (the first branch when none is given) */
+function branchSheet(store, branch) {
+  const id = branch || branchTabs.keys().next().value;
+  if (!branchTabs.has(id)) throw new Error(`Unknown branch "${id}"`);
+  const tab = branchTabs.get(id);
+  if (!tab) return store;
+  if (!store.tabs[tab] || typeof store.tabs[tab] !== 'object') store.tabs[tab] = { headers: [...DEFAULT_HEADERS], rows: [] };
+  const sheet = store.tabs[tab];
+  if (!Array.isArray(sheet.headers)) sheet.headers = [];
+  sheet.headers = sheet.headers.map((h) => (typeof h === 'string' ? h.trim() : h));
+  sheet.rows = Array.isArray(sheet.rows) ? sheet.rows.filter((r) => Array.isArray(r)) : [];
+  return sheet;
+}
+
+/* Write the store atomically (temp file + rename) so a crash never leaves half a file */
+function writeStore(store) {
+  const tmp = `${storePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2), 'utf8');
+  fs.renameSync(tmp, storePath);
+}
+
+/**
+ * initFileStore(filePathArg, branchList)
+ *
+ * Behavior:
+ *  - Uses filePathArg or LOCAL_STORE_PATH or './local-store.json' (relative paths resolve from this folder).
+ *  - Creates the file with the default header row if it does not exist yet.
+ *  - branchList: [{ id, tab }] one tab per branch (see branches.js); missing tabs are created with the default
+ *    header row. Without a list there is one branch, 'main', in the top-level rows.
+ */
+export async function initFileStore(filePathArg, branchList = null) {
+  let candidate = filePathArg || process.env.LOCAL_STORE_PATH || './local-store.json';
+  if (!path.isAbsolute(candidate)) candidate = path.join(__dirname, candidate);
+
+  if (!fs.existsSync(candidate)) {
+    fs.mkdirSync(path.dirname(candidate), { recursive: true });
+    fs.writeFileSync(candidate, JSON.stringify({ headers: DEFAULT_HEADERS, rows: [] }, null, 2), 'utf8');
+    console.log('initFileStore: created new store file ->', candidate);
+  }
+
+  storePath = candidate;
+  branchTabs = new Map((branchList && branchList.length ? branchList : [{ id: 'main', tab: '' }]).map((b) => [b.id, b.tab || '']));
+
+  const store = readStore();
+  const tabCount = Object.keys(store.tabs).length;
+  for (const [id, tab] of branchTabs) {
+    const { headers } = branchSheet(store, id);
+    const label = tab ? `File store tab "${tab}"` : 'File store';
+    if (headers.length === 0) throw new Error(`${label} header row is empty`);
+    const report = checkHeaders(headers);
+    if (report.missing.includes('trackingId')) throw new Error(`${label} has no trackingId column (or alias) in its header row`);
+    const problems = describeHeaderReport(report);
+    problems.forEach((line) => console.warn(`${label}: ${line}`));
+    if (problems.length) console.warn(`Fix the header row with POST /api/admin/schema/migrate?branch=${id}`);
+  }
+  if (Object.keys(store.tabs).length !== tabCount) writeStore(store);
+
+  console.log('File store initialized ->', storePath);
+  return true;
+}
+
+/* Header row of a branch. opts.branch: branch id (default: the first branch) */
+export async function getHeaders(opts = {}) {
+  await ensureInitialized();
+  const { headers, rows } = branchSheet(readStore(), opts.branch);
+  if (!headers.some((h) => String(h === undefined || h === null ? '' : h).trim())) throw emptyHeaderError(rows);
+  return headers;
+}
+
+/**
+ * Read all rows of every branch with their row numbers (header is row 1).
+ * Returns { headers, branchHeaders: { branch: headers }, rows: [{ rowIndex, branch, data }] } where headers are
+ * those of the first branch.
+ */
+export async function getAllEntries() {
+  await ensureInitialized();
+  const store = readStore();
+  const branchHeaders = {};
+  const rows = [];
+  for (const branch of branchTabs.keys()) {
+    const sheet = branchSheet(store, branch);
+    branchHeaders[branch] = sheet.headers;
+    if (sheet.headers.length === 0) continue;
+    sheet.rows.forEach((row, i) => rows.push({ rowIndex: i + 2, branch, data: rowToRecord(sheet.headers, row) }));
+  }
+  return { headers: branchSheet(store).headers, branchHeaders, rows };
+}
+
+/* Read all rows and map to objects */
+export async function getAllRows() {
+  const { headers, rows } = await getAllEntries();
+  return { headers, rows: rows.map((r) => r.data) };
+}
+
+/* First row of one branch whose trackingId matches: { rowIndex, data } or null */
+function findInSheet({ headers, rows }, trackingId) {
+  if (rows.length === 0) return null;
+
+  const trackingIdx = headerIndex(headers, 'trackingId');
+  if (trackingIdx === -1) throw new Error('trackingId column not found in headers');
+
+  const needle = normalizeTrackingId(trackingId);
+  for (let i = 0; i < rows.length; i++) {
+    if (normalizeTrackingId(rows[i][trackingIdx]) === needle) {
+      // rowIndex is 1-based with the header on row 1, same as the sheet
+      return { rowIndex: i + 2, data: rowToRecord(headers, rows[i]) };
+    }
+  }
+  return null;
+}
+
+/* Find row by trackingId (case-insensitive match) in opts.branch, or in every branch. Returns { rowIndex, branch, data } */
+export async function getRowByTrackingId(trackingId, opts = {}) {
+  await ensureInitialized();
+  if (!trackingId) return null;
+
+  const store = readStore();
+  const branches = opts.branch ? [opts.branch] : [...branchTabs.keys()];
+  for (const branch of branches) {
+    const found = findInSheet(branchSheet(store, branch), trackingId);
+    if (found) return { ...found, branch };
+  }
+  return null;
+}
+
+/* Row to update, version-checked (opts.ifMatch) before opts.prepare runs, as in sheets.js */
+async function locateForWrite(trackingId, opts) {
+  const found = await getRowByTrackingId(trackingId, opts);
+  if (!found) throw new Error('Tracking ID not found');
+  checkVersion(branchSheet(readStore(), found.branch).headers, found.data, opts.ifMatch);
+  return found;
+}
+
+/* Row of found in a freshly read store: opts.prepare may have awaited, so the store is read again right before the write */
+function relocate(store, found, trackingId) {
+  const sheet = branchSheet(store, found.branch);
+  const current = findInSheet(sheet, trackingId);
+  if (!current) throw new Error('Tracking ID not found');
+  return { sheet, current };
+}
+
+/* Append a new row to a branch (opts.branch) using header order */
+export async function createRow(rowData, opts = {}) {
+  await ensureInitialized();
+  const store = readStore();
+  const sheet = branchSheet(store, opts.branch);
+  const payload = recordToPayload(sheet.headers, rowData);
+  sheet.rows.push(payload);
+  writeStore(store);
+  return rowToRecord(sheet.headers, payload);
+}
+
+/**
+ * Update an existing row by trackingId (opts.branch limits the search). opts.ifMatch is checked against the current row;
+ * opts.prepare(found), when given, returns the data to write from the current row (see updateRow in sheets.js)
+ */
+export async function updateRow(trackingId, rowData, opts = {}) {
+  await ensureInitialized();
+  const found = await locateForWrite(trackingId, opts);
+  const data = opts.prepare ? await opts.prepare(found) : rowData;
+
+  const store = readStore();
+  const { sheet, current } = relocate(store, found, trackingId);
+  const payload = recordToPayload(sheet.headers, data);
+  sheet.rows[current.rowIndex - 2] = payload;
+  writeStore(store);
+  return rowToRecord(sheet.headers, payload);
+}
+
+/* Merge only the supplied fields into an existing row (null clears a field). Returns the merged record */
+export async function patchRow(trackingId, changes, opts = {}) {
+  await ensureInitialized();
+  const found = await locateForWrite(trackingId, opts);
+  const data = opts.prepare ? await opts.prepare(found) : changes;
+
+  const store = readStore();
+  const { sheet, current } = relocate(store, found, trackingId);
+  const payload = recordToPayload(sheet.headers, mergeRecord(current.data, data));
+  sheet.rows[current.rowIndex - 2] = payload;
+  writeStore(store);
+  return rowToRecord(sheet.headers, payload);
+}
+
+/* Delete a row by trackingId and return the removed record. opts.branch / opts.ifMatch as for updateRow */
+export async function deleteRow(trackingId, opts = {}) {
+  await ensureInitialized();
+  const found = await getRowByTrackingId(trackingId, opts);
+  if (!found) throw new Error('Tracking ID not found');
+
+  const store = readStore();
+  const sheet = branchSheet(store, found.branch);
+  checkVersion(sheet.headers, found.data, opts.ifMatch);
+  sheet.rows.splice(found.rowIndex - 2, 1);
+  writeStore(store);
+  return found.data;
+}
+
+/* Merge-style upsert of many records into one branch (opts.branch) in one write (see upsertRows in sheets.js) */
+export async function upsertRows(records, opts = {}) {
+  await ensureInitialized();
+  const store = readStore();
+  const sheet = branchSheet(store, opts.branch);
+  const trackingIdx = headerIndex(sheet.headers, 'trackingId');
+  if (trackingIdx === -1) throw new Error('trackingId column not found in headers');
+
+  const byId = new Map();
+  sheet.rows.forEach((row, i) => {
+    const key = normalizeTrackingId(row[trackingIdx]);
+    if (key && !byId.has(key)) byId.set(key, i);
+  });
+
+  const results = records.map((rec) => {
+    const key = normalizeTrackingId(rec.trackingId);
+    if (byId.has(key)) {
+      const i = byId.get(key);
+      const existing = rowToRecord(sheet.headers, sheet.rows[i]);
+      sheet.rows[i] = recordToPayload(sheet.headers, mergeRecord(existing, rec));
+      return { trackingId: existing.trackingId, action: 'updated', data: rowToRecord(sheet.headers, sheet.rows[i]), previous: existing };
+    }
+    const payload = recordToPayload(sheet.headers, rec);
+    sheet.rows.push(payload);
+    byId.set(key, sheet.rows.length - 1);
+    return { trackingId: rec.trackingId, action: 'created', data: rowToRecord(sheet.headers, payload) };
+  });
+
+  writeStore(store);
+  return results;
+}
+
+/* Replace the header row of a branch (schema migration); rows keep their cells, new columns read as empty */
+export async function writeHeaders(headers, opts = {}) {
+  await ensureInitialized();
+  const store = readStore();
+  branchSheet(store, opts.branch).headers = headers;
+  writeStore(store);
+  return headers;
+}
+
+/* ---------- Auxiliary collections (API keys, ...) kept under "collections" in the store file ---------- */
+
+/* Read every item of a collection */
+export async function listCollection(name) {
+  await ensureInitialized();
+  const { collections } = readStore();
+  return Array.isArray(collections[name]) ? collections[name] : [];
+}
+
+/* Append one item (or an array of items) to a collection */
+export async function appendToCollection(name, item) {
+  await ensureInitialized();
+  const store = readStore();
+  if (!Array.isArray(store.collections[name])) store.collections[name] = [];
+  store.collections[name].push(...(Array.isArray(item) ? item : [item]));
+  writeStore(store);
+  return item;
+}
+
+/* Rewrite a whole collection */
+export async function replaceCollection(name, items) {
+  await ensureInitialized();
+  const store = readStore();
+  store.collections[name] = items;
+  writeStore(store);
+  return items;
+}
@@ -0,0 +1,135 @@
+// labels.js
+// Printable shipping labels. Renders an HTML page of one or more labels with sender and receiver, origin and
+// destination, a Code 128 barcode of the tracking ID and a QR code linking to the public tracking page
+// (trackingPageUrl, see notifications.js). Both codes are drawn locally as inline SVG by bwip-js; printing the
+// page from a browser gives paper or PDF.
+// Layouts: '4x6' one 4x6 in label per page (thermal printers), 'a4' four A6 labels per A4 sheet.
+// Sender columns: senderName, senderPhone, senderAddress; receiver: customerName, customerPhone, receiverAddress.
+// Exports: LABEL_LAYOUTS, renderLabels
+
+import { trackingPageUrl } from './notifications.js';
+
+export const LABEL_LAYOUTS = ['4x6', 'a4'];
+
+const COMPANY_NAME = process.env.LABEL_COMPANY_NAME || 'TKS Courier & Cargo';
+
+// page size, label size and labels per page of each layout
+const LAYOUTS = {
+  '4x6': { page: '4in 6in', width: '4in', height: '6in', perPage: 1, columns: 1 },
+  a4: { page: 'A4', width: '105mm', height: '148.5mm', perPage: 4, columns: 2 },
+};
+
+let bwipjs = null;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+async function barcodes() {
+  if (!bwipjs) {
+    // loaded on first use, like exceljs for imports
+    ({ default: bwipjs } = await import('bwip-js'));
+  }
+  return bwipjs;
+}
+
+/* Lines of an address block, empty values left out */
+function addressLines(...values) {
+  return values
+    .map((v) => String(v === undefined || v === null ? '' : v).trim())
+    .filter(Boolean)
+    .map((v) => `<div>${escapeHtml(v)}</div>`)
+    .join('');
+}
+
+async function renderLabel(record, { branchName, printedAt }) {
+  const bwip = await barcodes();
+  const trackingId = String(record.trackingId || '');
+  const url = trackingPageUrl(trackingId);
+
+  let barcode;
+  try {
+    barcode = bwip.toSVG({ bcid: 'code128', text: trackingId, height: 14, includetext: true, textxalign: 'center', textsize: 11 });
+  } catch (e) {
+    throw httpError(422, `Tracking ID ${trackingId} cannot be printed as a Code 128 barcode`);
+  }
+  const qr = bwip.toSVG({ bcid: 'qrcode', text: url, eclevel: 'M' });
+
+  return `<section class="label">
+  <header><strong>${escapeHtml(COMPANY_NAME)}</strong><span>${escapeHtml(branchName || '')}</span><span>${escapeHtml(printedAt)}</span></header>
+  <div class="route"><span>${escapeHtml(record.origin || '-')}</span><span class="arrow">&rarr;</span><span>${escapeHtml(record.destination || '-')}</span></div>
+  <div class="party"><h2>From</h2>${addressLines(record.senderName, record.senderAddress, record.origin, record.senderPhone)}</div>
+  <div class="party to"><h2>To</h2>${addressLines(record.customerName, record.receiverAddress, record.destination, record.customerPhone)}</div>
+  <div class="barcode">${barcode}</div>
+  <footer>
+    <div class="qr">${qr}</div>
+    <div class="meta">
+      <div class="id">${escapeHtml(trackingId)}</div>
+      ${record.estimatedDelivery ? `<div>ETA ${escapeHtml(record.estimatedDelivery)}</div>` : ''}
+      <div class="url">${escapeHtml(url)}</div>
+    </div>
+  </footer>
+</section>`;
+}
+
+function stylesFor(layout) {
+  const { page, width, height, columns } = LAYOUTS[layout];
+  return `@page { size: ${page}; margin: 0; }
+* { box-sizing: border-box; }
+body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; }
+.page { display: grid; grid-template-columns: repeat(${columns}, ${width}); grid-auto-rows: ${height}; break-after: page; }
+.page:last-child { break-after: auto; }
+.label { width: ${width}; height: ${height}; padding: 4mm; display: flex; flex-direction: column; gap: 2mm; overflow: hidden; border: 1px dashed #bbb; }
+@media print { .label { border: none; } }
+header { display: flex; justify-content: space-between; gap: 2mm; font-size: 9pt; border-bottom: 2px solid #000; padding-bottom: 1mm; }
+.route { display: flex; justify-content: center; align-items: center; gap: 3mm; font-size: 16pt; font-weight: bold; text-transform: uppercase; text-align: center; }
+.party { font-size: 9pt; line-height: 1.25; }
+.party.to { font-size: 12pt; font-weight: bold; border: 2px solid #000; padding: 2mm; flex: 1; }
+.party h2 { margin: 0 0 1mm; font-size: 8pt; font-weight: normal; text-transform: uppercase; }
+.barcode svg { display: block; width: 100%; height: 22mm; }
+footer { display: flex; gap: 3mm; align-items: center; }
+.qr svg { display: block; width: 22mm; height: 22mm; }
+.meta { font-size: 8pt; overflow-wrap: anywhere; }
+.meta .id { font-size: 12pt; font-weight: bold; }`;
+}
+
+/**
+ * renderLabels(labels, { layout })
+ *
+ * labels: [{ record, branchName? }] with records already filtered by the field policy of the caller.
+ * Returns the HTML page. Throws 400 for an unknown layout, 422 when a tracking ID cannot be barcoded.
+ */
+export async function renderLabels(labels, { layout = '4x6' } = {}) {
+  const key = String(layout || '4x6').toLowerCase();
+  if (!LAYOUTS[key]) throw httpError(400, `layout must be one of: ${LABEL_LAYOUTS.join(', ')}`);
+
+  const printedAt = new Date().toISOString().slice(0, 10);
+  const rendered = [];
+  for (const { record, branchName } of labels) rendered.push(await renderLabel(record, { branchName, printedAt }));
+
+  const { perPage } = LAYOUTS[key];
+  const pages = [];
+  for (let i = 0; i < rendered.length; i += perPage) pages.push(`<div class="page">${rendered.slice(i, i + perPage).join('\n')}</div>`);
+
+  const title = labels.length === 1 ? `Label ${labels[0].record.trackingId}` : `${labels.length} labels`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${stylesFor(key)}
+</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>
+`;
+}
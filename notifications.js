@@ -0,0 +1,331 @@
+// notifications.js
+// Customer notifications on status changes. When a record moves into a status that has a template,
+// the email and/or SMS template is rendered with the tracking data and sent through the transport
+// configured for that channel (transports.js) to the contact columns of the record.
+// Customers are skipped when they opted out, either in the record (opt-out column) or through the
+// unsubscribe link (the 'notifyOptOuts' collection). Every attempt is logged in the 'notifications' collection.
+// Templates and contact columns can be overridden with NOTIFY_CONFIG (JSON) or NOTIFY_CONFIG_PATH (JSON file).
+// Transports: NOTIFY_EMAIL_TRANSPORT (smtp | file | console | none) and NOTIFY_SMS_TRANSPORT (gateway | file | console | none);
+// by default email uses SMTP when SMTP_HOST is set and SMS the gateway when SMS_GATEWAY_URL is set.
+// Exports: CHANNELS, DEFAULT_NOTIFY_CONFIG, renderTemplate, trackingPageUrl, unsubscribeToken, startNotifications,
+//          listNotifications, listOptOuts, addOptOut, removeOptOut, verifyUnsubscribe, unsubscribe
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { onRecordChange, listCollection, appendToCollection, replaceCollection } from './storage.js';
+import { normalizeTrackingId, trackingView } from './records.js';
+import { normalizeStatus } from './status.js';
+import { createTransport } from './transports.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CHANNELS = ['email', 'sms'];
+
+/**
+ * templates: canonical status -> { email: { subject, text, html? }, sms: { text } }
+ * Placeholders: {{anyColumn}}, {{previousStatus}}, {{trackingUrl}}, {{unsubscribeUrl}}, {{eventMessage}}, {{eventLocation}}
+ */
+export const DEFAULT_NOTIFY_CONFIG = {
+  trackingUrl: process.env.TRACKING_PAGE_URL || 'http://localhost:3000/tracking?id={{trackingId}}',
+  contactFields: { email: ['customerEmail', 'email'], sms: ['customerPhone', 'phone'] },
+  // 'yes' / 'true' / 'all' opts out of everything, 'email' or 'sms' of one channel
+  optOutFields: ['notificationsOptOut', 'optOut'],
+  notifyOnImport: false,
+  templates: {
+    'Out for Delivery': {
+      email: {
+        subject: 'Your parcel {{trackingId}} is out for delivery',
+        text:
+          'Hello,\n\nYour parcel {{trackingId}} from {{origin}} is out for delivery today.\n' +
+          'Follow it here: {{trackingUrl}}\n\nTKS Courier & Cargo\n\nUnsubscribe: {{unsubscribeUrl}}',
+      },
+      sms: { text: 'TKS: parcel {{trackingId}} is out for delivery today. Track: {{trackingUrl}}' },
+    },
+    Delivered: {
+      email: {
+        subject: 'Your parcel {{trackingId}} has been delivered',
+        text:
+          'Hello,\n\nYour parcel {{trackingId}} has been delivered to {{destination}}.\n' +
+          'Details: {{trackingUrl}}\n\nThank you for shipping with TKS Courier & Cargo\n\nUnsubscribe: {{unsubscribeUrl}}',
+      },
+      sms: { text: 'TKS: parcel {{trackingId}} has been delivered. Details: {{trackingUrl}}' },
+    },
+    Exception: {
+      email: {
+        subject: 'Update on your parcel {{trackingId}}',
+        text:
+          'Hello,\n\nThere is a problem with the delivery of parcel {{trackingId}}: {{eventMessage}}\n' +
+          'We will keep you informed. Status: {{trackingUrl}}\n\nTKS Courier & Cargo\n\nUnsubscribe: {{unsubscribeUrl}}',
+      },
+    },
+  },
+};
+
+const LOG_COLLECTION = 'notifications';
+const OPT_OUT_COLLECTION = 'notifyOptOuts';
+const OPT_OUTS_TTL_MS = 60000;
+
+let config = DEFAULT_NOTIFY_CONFIG;
+let templates = new Map(); // canonical status -> template
+let transports = {}; // channel -> transport | null
+let signingSecret = '';
+let apiBaseUrl = '';
+let optOuts = [];
+let optOutsLoadedAt = 0;
+let started = false;
+let queue = Promise.resolve(); // opt-out changes run one at a time: a removal rewrites the whole collection
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* Run fn after every earlier opt-out change has finished */
+function serialized(fn) {
+  const result = queue.then(fn, fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+function loadConfig() {
+  let override = null;
+  try {
+    if (process.env.NOTIFY_CONFIG) override = JSON.parse(process.env.NOTIFY_CONFIG);
+    else if (process.env.NOTIFY_CONFIG_PATH) {
+      const file = path.isAbsolute(process.env.NOTIFY_CONFIG_PATH)
+        ? process.env.NOTIFY_CONFIG_PATH
+        : path.join(__dirname, process.env.NOTIFY_CONFIG_PATH);
+      override = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    throw new Error('Notification config is not valid JSON: ' + e.message);
+  }
+
+  config = { ...DEFAULT_NOTIFY_CONFIG, ...(override || {}) };
+  templates = new Map();
+  Object.entries(config.templates || {}).forEach(([status, template]) => {
+    const canonical = normalizeStatus(status);
+    if (!canonical) throw new Error(`Notification template for unknown status "${status}"`);
+    templates.set(canonical, template);
+  });
+}
+
+/* Replace {{name}} placeholders; missing values become empty, html escapes the values */
+export function renderTemplate(template, vars, { html = false } = {}) {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => {
+    const value = vars[name] === undefined || vars[name] === null ? '' : String(vars[name]);
+    return html ? value.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`) : value;
+  });
+}
+
+/* Public tracking page of a shipment (trackingUrl of the config), also printed on labels */
+export function trackingPageUrl(trackingId) {
+  return renderTemplate(config.trackingUrl, { trackingId: encodeURIComponent(trackingId) });
+}
+
+/* Canonical form of a contact for matching opt-outs: lowercase email, phone as + and digits */
+function normalizeContact(channel, value) {
+  const str = String(value || '').trim();
+  if (channel === 'email') return str.toLowerCase();
+  const digits = str.replace(/[^\d+]/g, '');
+  return digits.startsWith('+') ? `+${digits.slice(1).replace(/\+/g, '')}` : digits.replace(/\+/g, '');
+}
+
+export function unsubscribeToken(channel, contact) {
+  return crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${channel}:${normalizeContact(channel, contact)}`)
+    .digest('base64url')
+    .slice(0, 32);
+}
+
+function unsubscribeUrl(channel, contact) {
+  const params = new URLSearchParams({ channel, contact, token: unsubscribeToken(channel, contact) });
+  return `${apiBaseUrl}/api/notifications/unsubscribe?${params}`;
+}
+
+async function loadOptOuts(force = false) {
+  if (!force && optOutsLoadedAt && Date.now() - optOutsLoadedAt < OPT_OUTS_TTL_MS) return optOuts;
+  optOuts = await listCollection(OPT_OUT_COLLECTION);
+  optOutsLoadedAt = Date.now();
+  return optOuts;
+}
+
+/* Opt-out set in the record itself */
+function recordOptsOut(record, channel) {
+  return (config.optOutFields || []).some((f) => {
+    const value = String(record[f] || '').trim().toLowerCase();
+    if (!value) return false;
+    return ['yes', 'y', 'true', '1', 'x', 'all'].includes(value) || value.split(/[\s,]+/).includes(channel);
+  });
+}
+
+function contactFor(record, channel) {
+  const fields = (config.contactFields && config.contactFields[channel]) || [];
+  const field = fields.find((f) => String(record[f] || '').trim());
+  return field ? String(record[field]).trim() : '';
+}
+
+async function handleChange(change) {
+  const after = change.after;
+  if (!after) return;
+  const status = normalizeStatus(after.status);
+  const previous = change.before ? normalizeStatus(change.before.status) : null;
+  if (!status || status === previous) return;
+  if (change.source === 'import' && !config.notifyOnImport) return;
+  // a trash restore brings the record back unchanged: its status was already announced
+  if (change.action === 'restore') return;
+
+  const template = templates.get(status);
+  if (!template) return;
+
+  const view = trackingView(after);
+  const history = Array.isArray(view.history) ? view.history : [];
+  const latest = change.event || history[history.length - 1] || {};
+  const baseVars = {
+    ...view,
+    previousStatus: previous || '',
+    trackingUrl: trackingPageUrl(after.trackingId),
+    eventMessage: latest.message || '',
+    eventLocation: latest.location || '',
+  };
+
+  const entries = [];
+  for (const channel of CHANNELS) {
+    const transport = transports[channel];
+    const content = template[channel];
+    const to = contactFor(after, channel);
+    if (!transport || !content || !to) continue;
+
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      at: new Date().toISOString(),
+      trackingId: after.trackingId,
+      status,
+      channel,
+      to,
+      transport: transport.name,
+    };
+
+    const listed = (await loadOptOuts()).some(
+      (o) => o.channel === channel && o.contact === normalizeContact(channel, to)
+    );
+    if (listed || recordOptsOut(after, channel)) {
+      entries.push({ ...entry, result: 'skipped', error: 'opted out' });
+      continue;
+    }
+
+    const vars = { ...baseVars, unsubscribeUrl: unsubscribeUrl(channel, to) };
+    try {
+      const sent = await transport.send({
+        channel,
+        to,
+        subject: renderTemplate(content.subject, vars),
+        text: renderTemplate(content.text, vars),
+        html: content.html ? renderTemplate(content.html, vars, { html: true }) : undefined,
+        unsubscribeUrl: vars.unsubscribeUrl,
+      });
+      entries.push({ ...entry, result: 'sent', messageId: sent.id || '' });
+    } catch (error) {
+      console.error(`Notification ${channel} for ${after.trackingId} failed:`, error.message || error);
+      entries.push({ ...entry, result: 'failed', error: String(error.message || error).slice(0, 200) });
+    }
+  }
+
+  if (entries.length) await appendToCollection(LOG_COLLECTION, entries);
+}
+
+/**
+ * startNotifications({ secret, baseUrl })
+ *
+ * Loads the config and transports and subscribes to record changes (called once after initStorage).
+ * secret signs unsubscribe links; baseUrl is the public address of this API.
+ */
+export function startNotifications({ secret, baseUrl }) {
+  if (started) return;
+  loadConfig();
+  signingSecret = String(secret);
+  apiBaseUrl = String(baseUrl).replace(/\/+$/, '');
+  transports = {
+    email: createTransport(process.env.NOTIFY_EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'none')),
+    sms: createTransport(process.env.NOTIFY_SMS_TRANSPORT || (process.env.SMS_GATEWAY_URL ? 'gateway' : 'none')),
+  };
+  started = true;
+  onRecordChange(handleChange);
+
+  const active = CHANNELS.filter((c) => transports[c]).map((c) => `${c} via ${transports[c].name}`);
+  console.log(
+    'Notifications:',
+    active.length ? active.join(', ') : 'no transport configured',
+    '- templates for:',
+    [...templates.keys()].join(', ') || 'none'
+  );
+}
+
+/* Sent log, newest first; filters trackingId, channel, result (sent | failed | skipped), limit (default 100, max 1000) */
+export async function listNotifications({ trackingId, channel, result, limit } = {}) {
+  const key = trackingId ? normalizeTrackingId(trackingId) : '';
+  const max = Math.min(Number(limit) > 0 ? Math.floor(Number(limit)) : 100, 1000);
+  const all = await listCollection(LOG_COLLECTION);
+  return all
+    .filter((e) => (!key || normalizeTrackingId(e.trackingId) === key) && (!channel || e.channel === channel))
+    .filter((e) => !result || e.result === result)
+    .reverse()
+    .slice(0, max);
+}
+
+export async function listOptOuts() {
+  return (await loadOptOuts(true)).slice().reverse();
+}
+
+/* Add a contact to the opt-out list (idempotent). Returns the entry */
+export async function addOptOut({ channel, contact, source }) {
+  if (!CHANNELS.includes(channel)) throw httpError(400, `channel must be one of: ${CHANNELS.join(', ')}`);
+  const normalized = normalizeContact(channel, contact);
+  if (!normalized) throw httpError(400, 'contact is required');
+
+  // checked inside the queue: two concurrent unsubscribes of one contact must not both append
+  return serialized(async () => {
+    const all = await loadOptOuts(true);
+    const existing = all.find((o) => o.channel === channel && o.contact === normalized);
+    if (existing) return existing;
+
+    const entry = { channel, contact: normalized, at: new Date().toISOString(), source: source || 'admin' };
+    await appendToCollection(OPT_OUT_COLLECTION, entry);
+    await loadOptOuts(true);
+    return entry;
+  });
+}
+
+/* Remove a contact from the opt-out list; returns false when it was not listed */
+export async function removeOptOut({ channel, contact }) {
+  const normalized = normalizeContact(channel, contact);
+  return serialized(async () => {
+    // re-read inside the queue: the rewrite below must keep every opt-out added so far
+    const all = await loadOptOuts(true);
+    const remaining = all.filter((o) => !(o.channel === channel && o.contact === normalized));
+    if (remaining.length === all.length) return false;
+    await replaceCollection(OPT_OUT_COLLECTION, remaining);
+    await loadOptOuts(true);
+    return true;
+  });
+}
+
+/* Throws 400 unless token is the signature of an unsubscribe link for this channel and contact */
+export function verifyUnsubscribe({ channel, contact, token }) {
+  if (!CHANNELS.includes(channel) || !contact || !token) throw httpError(400, 'Invalid unsubscribe link');
+  const expected = Buffer.from(unsubscribeToken(channel, contact));
+  const actual = Buffer.from(String(token));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw httpError(400, 'Invalid unsubscribe link');
+  }
+}
+
+/* Public unsubscribe link, once the customer confirmed: verifies the signed token, then opts the contact out */
+export async function unsubscribe({ channel, contact, token }) {
+  verifyUnsubscribe({ channel, contact, token });
+  return addOptOut({ channel, contact, source: 'link' });
+}
@@ -0,0 +1,170 @@
+// query.js
+// Search, filtering, sorting and pagination over the records returned by getAllRows.
+// Query parameters (all optional):
+//   q                                   free text, matched in trackingId / origin / destination
+//   status                              comma-separated, case-insensitive exact match
+//   lastUpdatedFrom / lastUpdatedTo     date range (inclusive) on lastUpdated
+//   etaFrom / etaTo                     date range (inclusive) on estimatedDelivery
+//   sort                                header name, '-' prefix for descending (default: sheet order)
+//   page + limit                        page-based pagination (page starts at 1)
+//   cursor + limit                      cursor-based pagination (nextCursor from the previous response)
+// Exports: SEARCH_FIELDS, DATE_FIELDS, parseBound, parseListQuery, queryRecords
+
+import { parseDate } from './records.js';
+
+export const SEARCH_FIELDS = ['trackingId', 'origin', 'destination'];
+export const DATE_FIELDS = ['lastUpdated', 'estimatedDelivery'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* Date bound from a query string; a bare date used as an upper bound covers that whole day */
+export function parseBound(value, name, endOfDay) {
+  if (value === undefined || value === '') return null;
+  const ms = parseDate(value);
+  if (ms === null) throw httpError(400, `${name} is not a valid date`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim()) ? ms + 86400000 - 1 : ms;
+}
+
+function positiveInt(value, name, fallback, max = Infinity) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, `${name} must be a positive integer`);
+  return Math.min(n, max);
+}
+
+function encodeCursor(sortValue, trackingId) {
+  return Buffer.from(JSON.stringify({ k: sortValue, id: trackingId })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!parsed || typeof parsed !== 'object' || !('id' in parsed)) throw new Error('bad cursor');
+    return parsed;
+  } catch {
+    throw httpError(400, 'cursor is invalid');
+  }
+}
+
+/**
+ * parseListQuery(query, sortableHeaders)
+ *
+ * Validates the raw Express query into { q, statuses, ranges, sort, page, limit, cursor, paginate }.
+ * paginate is false when no pagination parameter was given (full list, as before).
+ */
+export function parseListQuery(query, sortableHeaders) {
+  const q = query.q !== undefined ? String(query.q).trim().toLowerCase() : '';
+  const statuses = query.status
+    ? String(query.status)
+        .split(',')
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean)
+    : [];
+
+  const ranges = [
+    { field: 'lastUpdated', from: parseBound(query.lastUpdatedFrom, 'lastUpdatedFrom', false), to: parseBound(query.lastUpdatedTo, 'lastUpdatedTo', true) },
+    { field: 'estimatedDelivery', from: parseBound(query.etaFrom, 'etaFrom', false), to: parseBound(query.etaTo, 'etaTo', true) },
+  ].filter((r) => r.from !== null || r.to !== null);
+
+  let sort = null;
+  if (query.sort) {
+    const raw = String(query.sort).trim();
+    const desc = raw.startsWith('-');
+    const field = desc ? raw.slice(1) : raw;
+    if (!sortableHeaders.includes(field)) throw httpError(400, `Cannot sort by ${field}`);
+    sort = { field, desc };
+  }
+
+  const paginate = query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+  const limit = positiveInt(query.limit, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+  const page = positiveInt(query.page, 'page', 1);
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+  return { q, statuses, ranges, sort, page, limit, cursor, paginate };
+}
+
+/* Comparable value for sorting: dates as epoch ms, everything else as trimmed string */
+function sortValue(record, field) {
+  const raw = record[field];
+  if (DATE_FIELDS.includes(field)) return parseDate(raw);
+  if (raw === undefined || raw === null) return '';
+  return typeof raw === 'string' ? raw.trim() : JSON.stringify(raw);
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/* Empty values always sort last; ties are broken by trackingId so the order (and cursors) are stable */
+function compare(a, b, sort) {
+  const va = a.key;
+  const vb = b.key;
+  const emptyA = va === null || va === '';
+  const emptyB = vb === null || vb === '';
+  let result = 0;
+  if (emptyA !== emptyB) return emptyA ? 1 : -1;
+  if (!emptyA) result = typeof va === 'number' && typeof vb === 'number' ? va - vb : collator.compare(String(va), String(vb));
+  if (sort.desc) result = -result;
+  return result || collator.compare(a.id, b.id);
+}
+
+/**
+ * queryRecords(rows, parsed)
+ *
+ * Returns { rows, total, page, limit, pages, nextCursor } where total counts all matches.
+ */
+export function queryRecords(rows, parsed) {
+  const { q, statuses, ranges, sort, page, limit, cursor, paginate } = parsed;
+
+  const matched = rows.filter((r) => {
+    if (q && !SEARCH_FIELDS.some((f) => String(r[f] || '').toLowerCase().includes(q))) return false;
+    if (statuses.length && !statuses.includes(String(r.status || '').trim().toLowerCase())) return false;
+    return ranges.every(({ field, from, to }) => {
+      const ms = parseDate(r[field]);
+      if (ms === null) return false;
+      return (from === null || ms >= from) && (to === null || ms <= to);
+    });
+  });
+
+  const total = matched.length;
+
+  const keyed = matched.map((r) => ({ record: r, key: sort ? sortValue(r, sort.field) : null, id: String(r.trackingId || '') }));
+  if (sort) keyed.sort((a, b) => compare(a, b, sort));
+
+  if (!paginate) return { rows: keyed.map((k) => k.record), total, page: 1, limit: total, pages: 1, nextCursor: null };
+
+  let start;
+  if (cursor) {
+    const after = { key: cursor.k === undefined ? null : cursor.k, id: String(cursor.id) };
+    if (sort) {
+      // first record ordered after the cursor
+      start = keyed.findIndex((k) => compare(k, after, sort) > 0);
+      if (start === -1) start = keyed.length;
+    } else {
+      // sheet order: continue after the cursor's record
+      const idx = keyed.findIndex((k) => k.id === after.id);
+      if (idx === -1) throw httpError(400, 'cursor is no longer valid, restart from the first page');
+      start = idx + 1;
+    }
+  } else {
+    start = (page - 1) * limit;
+  }
+
+  const slice = keyed.slice(start, start + limit);
+  const hasMore = start + limit < keyed.length;
+  const last = slice[slice.length - 1];
+
+  return {
+    rows: slice.map((k) => k.record),
+    total,
+    page: cursor ? null : page,
+    limit,
+    pages: Math.max(1, Math.ceil(total / limit)),
+    nextCursor: hasMore && last ? encodeCursor(last.key, last.id) : null,
+  };
+}
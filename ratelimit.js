@@ -0,0 +1,156 @@
+// ratelimit.js
+// Reusable rate limiting for Express plus progressive lockout for failed logins.
+// Counters live in a store; createMemoryStore() is the in-process default. Any object with the
+// same async methods (e.g. backed by Redis) can be passed instead:
+//   increment(key, windowMs, amount) -> { count, resetAt }   fixed window counter (amount defaults to 1)
+//   get(key) -> value | undefined                     arbitrary state with expiry
+//   set(key, value, ttlMs)
+//   reset(key)
+// Exports: createMemoryStore, rateLimit, createLoginGuard, clientIp
+
+/* In-memory store; expired entries are swept once a minute */
+export function createMemoryStore() {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key);
+  }, 60000);
+  sweep.unref();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  return {
+    async increment(key, windowMs, amount = 1) {
+      const entry = live(key);
+      if (!entry) {
+        const resetAt = Date.now() + windowMs;
+        entries.set(key, { value: amount, expiresAt: resetAt });
+        return { count: amount, resetAt };
+      }
+      entry.value += amount;
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : undefined;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+const defaultStore = createMemoryStore();
+
+/* Client address as seen through the configured 'trust proxy' setting */
+export function clientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+function sendTooMany(res, retryAfterMs, message) {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ error: message, retryAfter: seconds });
+}
+
+/**
+ * rateLimit({ name, windowMs, max, keyGenerator, cost, store, message })
+ *
+ * Fixed-window limiter middleware. keyGenerator(req) defaults to the client IP; returning a falsy
+ * key skips limiting for that request. cost(req) is how many units the request uses (default 1, e.g. one
+ * per ID of a batch lookup). Sets RateLimit-* headers and answers 429 with Retry-After.
+ */
+export function rateLimit({
+  name = 'default',
+  windowMs = 60000,
+  max = 60,
+  keyGenerator = clientIp,
+  cost = () => 1,
+  store = defaultStore,
+  message,
+} = {}) {
+  return async (req, res, next) => {
+    try {
+      const id = keyGenerator(req);
+      if (!id) return next();
+
+      const { count, resetAt } = await store.increment(`rl:${name}:${id}`, windowMs, Math.max(1, Number(cost(req)) || 1));
+      const remaining = Math.max(0, max - count);
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))));
+
+      if (count > max) return sendTooMany(res, resetAt - Date.now(), message || 'Too many requests, please try again later');
+      next();
+    } catch (error) {
+      // never lock everyone out because the limiter store failed
+      console.error(`Rate limiter "${name}" failed:`, error.message || error);
+      next();
+    }
+  };
+}
+
+/**
+ * createLoginGuard({ maxFailures, windowMs, baseLockMs, maxLockMs, store })
+ *
+ * Progressive lockout: after maxFailures failed attempts within windowMs for a key (IP or account),
+ * the key is locked for baseLockMs, doubling on every further lockout up to maxLockMs.
+ * A successful login clears the failures of the given keys.
+ */
+export function createLoginGuard({
+  maxFailures = 5,
+  windowMs = 15 * 60000,
+  baseLockMs = 60000,
+  maxLockMs = 60 * 60000,
+  store = defaultStore,
+} = {}) {
+  return {
+    /* Milliseconds until every key is unlocked (0 when none is locked) */
+    async retryAfter(keys) {
+      let wait = 0;
+      for (const key of keys) {
+        const lock = await store.get(`lock:${key}`);
+        if (lock && lock.until > Date.now()) wait = Math.max(wait, lock.until - Date.now());
+      }
+      return wait;
+    },
+
+    async recordFailure(keys) {
+      for (const key of keys) {
+        const { count } = await store.increment(`fail:${key}`, windowMs);
+        if (count < maxFailures) continue;
+
+        const previous = (await store.get(`lockouts:${key}`)) || 0;
+        const lockMs = Math.min(maxLockMs, baseLockMs * 2 ** previous);
+        await store.set(`lock:${key}`, { until: Date.now() + lockMs }, lockMs);
+        // remember escalation for a day so repeated lockouts grow longer
+        await store.set(`lockouts:${key}`, previous + 1, 24 * 60 * 60000);
+        await store.reset(`fail:${key}`);
+        console.warn(`Login locked for ${key} for ${Math.round(lockMs / 1000)}s after ${count} failures`);
+      }
+    },
+
+    async recordSuccess(keys) {
+      for (const key of keys) {
+        await store.reset(`fail:${key}`);
+        await store.reset(`lockouts:${key}`);
+      }
+    },
+
+    sendLocked(res, retryAfterMs) {
+      return sendTooMany(res, retryAfterMs, 'Too many failed login attempts, please try again later');
+    },
+  };
+}
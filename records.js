@@ -0,0 +1,194 @@
+// records.js
+// Backend-agnostic helpers for tracking records, shared by every storage backend
+// so history parsing and tracking ID matching behave identically everywhere.
+// Field names, aliases and cell types come from the declared schema (schema.js).
+// Exports: canonicalFieldName, parseHistory, normalizeHistoryForStorage, normalizeTrackingId, parseDate,
+//          rowToRecord, recordToPayload, mergeRecord, recordVersion, checkVersion, trackingView
+
+import crypto from 'crypto';
+import { canonicalColumn, readCell } from './schema.js';
+
+/* Canonical name for a column/key (schema aliases); undeclared names are returned trimmed */
+export function canonicalFieldName(name) {
+  return canonicalColumn(name);
+}
+
+/* Robustly parse 'history' cell */
+export function parseHistory(historyStr) {
+  try {
+    if (historyStr === undefined || historyStr === null || historyStr === '') return [];
+    if (Array.isArray(historyStr)) return historyStr;
+    if (typeof historyStr === 'object') return Array.isArray(historyStr) ? historyStr : [];
+
+    if (typeof historyStr === 'string') {
+      const trimmed = historyStr.trim();
+
+      // Looks like JSON array/object
+      if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+          const parsed = JSON.parse(trimmed);
+          return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+          try {
+            // sometimes double-encoded: "\"[...]""
+            const unescaped = trimmed.replace(/^"(.+)"$/, '$1').replace(/\\"/g, '"');
+            const parsed2 = JSON.parse(unescaped);
+            return Array.isArray(parsed2) ? parsed2 : [];
+          } catch (e2) {
+            return [];
+          }
+        }
+      }
+
+      // plain text -> wrap as single history message
+      return [{ date: '', location: '', message: trimmed }];
+    }
+
+    return [];
+  } catch {
+    return [];
+  }
+}
+
+/* Normalize history for writing to storage (always a JSON string) */
+export function normalizeHistoryForStorage(history) {
+  try {
+    if (history === undefined || history === null) return '[]';
+    if (Array.isArray(history)) return JSON.stringify(history);
+    if (typeof history === 'string') {
+      const trimmed = history.trim();
+      if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+          const parsed = JSON.parse(trimmed);
+          return JSON.stringify(Array.isArray(parsed) ? parsed : []);
+        } catch {
+          try {
+            const unescaped = trimmed.replace(/^"(.+)"$/, '$1').replace(/\\"/g, '"');
+            const parsed2 = JSON.parse(unescaped);
+            return JSON.stringify(Array.isArray(parsed2) ? parsed2 : []);
+          } catch {
+            return JSON.stringify([{ date: '', location: '', message: trimmed }]);
+          }
+        }
+      }
+      return JSON.stringify([{ date: '', location: '', message: trimmed }]);
+    }
+    return '[]';
+  } catch {
+    return '[]';
+  }
+}
+
+/* Canonical form used for case-insensitive tracking ID comparison */
+export function normalizeTrackingId(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\u00A0/g, ' ').trim().toUpperCase();
+}
+
+/* Parse a sheet date ('2025-02-01', '2025-02-01 13:20', ISO strings) into epoch ms, or null */
+export function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const str = String(value).trim();
+  // 'YYYY-MM-DD HH:mm' is not ISO; treat the space as the 'T' separator
+  const isoish = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(str) ? str.replace(' ', 'T') : str;
+  const ms = Date.parse(isoish);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/* Map a raw row (array of cells in header order) to a record keyed by canonical names; the first of duplicate columns wins */
+export function rowToRecord(headers, row) {
+  const obj = {};
+  headers.forEach((h, idx) => {
+    const name = canonicalFieldName(h);
+    if (!name || Object.prototype.hasOwnProperty.call(obj, name)) return;
+    const val = row[idx] === undefined ? '' : row[idx];
+    obj[name] = name === 'history' ? parseHistory(val) : readCell(name, val);
+  });
+  return obj;
+}
+
+/* Map a record object to an array of cells in header order (headers may use aliases) */
+export function recordToPayload(headers, rowData) {
+  const written = new Set();
+  return headers.map((h) => {
+    const name = canonicalFieldName(h);
+    // a duplicate column keeps its cell empty rather than a second copy
+    if (written.has(name)) return '';
+    written.add(name);
+    if (name === 'history') return normalizeHistoryForStorage(rowData.history || []);
+    return rowData[name] !== undefined && rowData[name] !== null ? String(rowData[name]) : '';
+  });
+}
+
+/**
+ * Merge partial changes into an existing record (PATCH semantics).
+ * Only keys present in changes are touched; an explicit null clears the field
+ * ('' for plain columns, [] for history). trackingId is never changed here.
+ */
+export function mergeRecord(existing, changes) {
+  const merged = { ...existing };
+  Object.keys(changes || {}).forEach((k) => {
+    if (k === 'trackingId') return;
+    const val = changes[k];
+    if (val === undefined) return;
+    if (val === null) merged[k] = k === 'history' ? [] : '';
+    else merged[k] = k === 'history' ? parseHistory(val) : val;
+  });
+  return merged;
+}
+
+/* Version of a record: hash of its cells in header order (used as the ETag) */
+export function recordVersion(headers, record) {
+  const payload = recordToPayload(headers, record || {});
+  return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex').slice(0, 20);
+}
+
+/**
+ * Throw a 412 error unless the record's current version satisfies ifMatch.
+ * ifMatch: null/undefined (no precondition), '*' (any existing version) or an array of versions.
+ */
+export function checkVersion(headers, record, ifMatch) {
+  if (ifMatch === undefined || ifMatch === null || ifMatch === '*') return;
+  const current = recordVersion(headers, record);
+  const expected = Array.isArray(ifMatch) ? ifMatch : [ifMatch];
+  if (!expected.includes(current)) {
+    const err = new Error('Record was modified by someone else (version mismatch)');
+    err.status = 412;
+    err.currentVersion = current;
+    throw err;
+  }
+}
+
+/**
+ * Normalized shape served to tracking clients (GET /api/track, live stream): canonical field names,
+ * the standard fields always present, history always an array of objects. Apply the field policy on top.
+ */
+export function trackingView(record) {
+  const normalized = {};
+  Object.keys(record || {}).forEach((k) => {
+    normalized[canonicalFieldName(k)] = record[k];
+  });
+
+  const data = {
+    trackingId: normalized.trackingId || '',
+    status: normalized.status || '',
+    origin: normalized.origin || '',
+    destination: normalized.destination || '',
+    lastUpdated: normalized.lastUpdated || '',
+    estimatedDelivery: normalized.estimatedDelivery || '',
+    ...normalized,
+  };
+
+  if (data.history === undefined || data.history === null) data.history = [];
+  else if (typeof data.history === 'string') {
+    try {
+      data.history = JSON.parse(data.history);
+    } catch {
+      data.history = [];
+    }
+  }
+  if (!Array.isArray(data.history)) data.history = [];
+
+  data.history = data.history.map((h) => (h && typeof h === 'object' ? h : {}));
+  return data;
+}
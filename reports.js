@@ -0,0 +1,254 @@
+// reports.js
+// Operational report over the tracking records: counts by status, by lane (origin -> destination) and by day,
+// average transit time and the overdue list. Built from getAllRows (the storage cache, not the Sheets API) and
+// kept for REPORTS_CACHE_TTL_MS (default 60s) per range and branch scope, so dashboards polling the report
+// do not recompute it on every request.
+// A shipment's start is its earliest dated history event (lastUpdated when it has none); the date range selects
+// shipments by start. Transit time runs from the start to the first 'Delivered' event.
+// Overdue: estimatedDelivery has passed and the status is not Delivered.
+// Reports are cached once for every caller; reportView then applies the field policy of the caller's audience to
+// the record fields in lane and overdue rows, as the listings do.
+// Exports: DELIVERED_STATUS, REPORT_SECTIONS, buildReport, getReport, reportView, reportCsv, clearReportCache
+
+import { getAllRows } from './storage.js';
+import { parseHistory, parseDate } from './records.js';
+import { sortHistory, eventTimestamp } from './events.js';
+import { getStatusConfig, normalizeStatus } from './status.js';
+import { getBranches } from './branches.js';
+import { applyFieldPolicy, visibleHeaders } from './fields.js';
+
+export const DELIVERED_STATUS = 'Delivered';
+export const REPORT_SECTIONS = ['status', 'lanes', 'days', 'overdue'];
+
+const HOUR_MS = 60 * 60000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_CACHED = 50;
+
+// record columns carried into report rows; the other values are computed figures
+const LANE_FIELDS = ['origin', 'destination'];
+const OVERDUE_FIELDS = ['trackingId', 'status', 'origin', 'destination', 'estimatedDelivery', 'lastUpdated'];
+
+const CACHE_TTL_MS = Number(process.env.REPORTS_CACHE_TTL_MS) > 0 ? Number(process.env.REPORTS_CACHE_TTL_MS) : 60000;
+
+const cache = new Map(); // key -> { at, report }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* 'YYYY-MM-DD' of a sheet date: the written day when the value starts with one, else the UTC day */
+function dayOf(value, ms) {
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value || '').trim());
+  return match ? match[1] : new Date(ms).toISOString().slice(0, 10);
+}
+
+function isDelivered(status) {
+  return normalizeStatus(status) === DELIVERED_STATUS;
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+/* Start, delivery and transit time of one record, from its history */
+function timeline(record) {
+  const dated = sortHistory(parseHistory(record.history)).filter((e) => eventTimestamp(e) !== null);
+  const first = dated[0];
+  const delivery = dated.find((e) => isDelivered(e.status));
+
+  let start = first ? { value: first.date, ms: eventTimestamp(first) } : null;
+  if (!start) {
+    const ms = parseDate(record.lastUpdated);
+    if (ms !== null) start = { value: record.lastUpdated, ms };
+  }
+  const delivered = delivery ? { value: delivery.date, ms: eventTimestamp(delivery) } : null;
+  const transitMs = first && delivered && delivered.ms >= start.ms ? delivered.ms - start.ms : null;
+  return { start, delivered, transitMs };
+}
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function transitSummary(values) {
+  const avg = average(values);
+  return {
+    measured: values.length,
+    avgHours: avg === null ? null : round(avg / HOUR_MS),
+    avgDays: avg === null ? null : round(avg / DAY_MS),
+    minHours: values.length ? round(Math.min(...values) / HOUR_MS) : null,
+    maxHours: values.length ? round(Math.max(...values) / HOUR_MS) : null,
+  };
+}
+
+/* How late a shipment is at now, in whole days, or null when it is not overdue. A bare date is due by the end of that day */
+function overdueDays(eta, now) {
+  const ms = parseDate(eta);
+  if (ms === null) return null;
+  const dueBy = /^\d{4}-\d{2}-\d{2}$/.test(String(eta).trim()) ? ms + DAY_MS : ms;
+  if (dueBy > now) return null;
+  return Math.floor((now - ms) / DAY_MS);
+}
+
+/**
+ * buildReport(rows, { from, to, now, rowBranches })
+ *
+ * rows are plain records (getAllRows().rows), from/to epoch ms bounds on the shipment start (null = open),
+ * rowBranches the branch of each row (added to overdue entries when there is more than one branch).
+ * Returns { generatedAt, from, to, total, byStatus, byLane, byDay, transit, overdue }.
+ */
+export function buildReport(rows, { from = null, to = null, now = Date.now(), rowBranches = null } = {}) {
+  const withBranch = Boolean(rowBranches) && getBranches().length > 1;
+  const statusCounts = new Map();
+  const lanes = new Map();
+  const days = new Map();
+  const transits = [];
+  const overdue = [];
+  let total = 0;
+  let delivered = 0;
+
+  const day = (date) => {
+    if (!days.has(date)) days.set(date, { date, shipments: 0, delivered: 0 });
+    return days.get(date);
+  };
+
+  rows.forEach((record, i) => {
+    const { start, delivered: delivery, transitMs } = timeline(record);
+    if ((from !== null || to !== null) && !start) return;
+    if (from !== null && start.ms < from) return;
+    if (to !== null && start.ms > to) return;
+    total++;
+
+    const raw = String(record.status || '').trim();
+    const status = normalizeStatus(raw) || raw || '(none)';
+    statusCounts.set(status, (statusCounts.get(status) || 0) + 1);
+    const done = isDelivered(raw);
+    if (done) delivered++;
+
+    const origin = String(record.origin || '').trim();
+    const destination = String(record.destination || '').trim();
+    const laneKey = `${origin.toLowerCase()}\u0000${destination.toLowerCase()}`;
+    if (!lanes.has(laneKey)) lanes.set(laneKey, { origin, destination, shipments: 0, delivered: 0, transits: [] });
+    const lane = lanes.get(laneKey);
+    lane.shipments++;
+    if (done) lane.delivered++;
+
+    if (start) day(dayOf(start.value, start.ms)).shipments++;
+    if (delivery) day(dayOf(delivery.value, delivery.ms)).delivered++;
+
+    if (transitMs !== null) {
+      transits.push(transitMs);
+      lane.transits.push(transitMs);
+    }
+
+    const late = done ? null : overdueDays(record.estimatedDelivery, now);
+    if (late !== null) {
+      overdue.push({
+        trackingId: record.trackingId || '',
+        status: record.status || '',
+        origin,
+        destination,
+        estimatedDelivery: record.estimatedDelivery,
+        lastUpdated: record.lastUpdated || '',
+        daysOverdue: late,
+        ...(withBranch ? { branch: rowBranches[i] } : {}),
+      });
+    }
+  });
+
+  // statuses in lifecycle order, then anything outside the vocabulary
+  const order = getStatusConfig().statuses;
+  const byStatus = [...statusCounts.entries()]
+    .map(([status, count]) => ({ status, count }))
+    .sort((a, b) => {
+      const ia = order.indexOf(a.status);
+      const ib = order.indexOf(b.status);
+      if (ia !== ib) return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+      return a.status.localeCompare(b.status);
+    });
+
+  const byLane = [...lanes.values()]
+    .map(({ transits: laneTransits, ...lane }) => {
+      const avg = average(laneTransits);
+      return { ...lane, avgTransitHours: avg === null ? null : round(avg / HOUR_MS) };
+    })
+    .sort((a, b) => b.shipments - a.shipments || a.origin.localeCompare(b.origin) || a.destination.localeCompare(b.destination));
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    from: from === null ? null : new Date(from).toISOString(),
+    to: to === null ? null : new Date(to).toISOString(),
+    total,
+    byStatus,
+    byLane,
+    byDay: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    transit: { delivered, ...transitSummary(transits) },
+    overdue: {
+      count: overdue.length,
+      shipments: overdue.sort((a, b) => b.daysOverdue - a.daysOverdue || String(a.trackingId).localeCompare(String(b.trackingId))),
+    },
+  };
+}
+
+/**
+ * getReport({ from, to, branches, refresh })
+ *
+ * Cached buildReport over the records of the given branch ids (default: all). refresh skips the cache.
+ * Throws 400 when from is after to.
+ */
+export async function getReport({ from = null, to = null, branches = null, refresh = false } = {}) {
+  if (from !== null && to !== null && from > to) throw httpError(400, 'from must not be after to');
+
+  const key = JSON.stringify([from, to, branches]);
+  const hit = cache.get(key);
+  if (!refresh && hit && Date.now() - hit.at < CACHE_TTL_MS) return { ...hit.report, cached: true };
+
+  const all = await getAllRows({ branches });
+  const report = buildReport(all.rows, { from, to, rowBranches: all.rowBranches });
+
+  cache.delete(key);
+  cache.set(key, { at: Date.now(), report });
+  // Map keeps insertion order: drop the oldest reports first
+  while (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+  return { ...report, cached: false };
+}
+
+/* Record fields of row as audience may see them (hidden ones dropped, masks applied), computed figures kept */
+function rowView(row, fields, audience) {
+  const record = {};
+  const rest = {};
+  Object.keys(row).forEach((k) => {
+    if (fields.includes(k)) record[k] = row[k];
+    else rest[k] = row[k];
+  });
+  return { ...applyFieldPolicy(record, audience), ...rest };
+}
+
+/* The report as audience ('public' | 'staff' | 'admin', see fields.js) may see it */
+export function reportView(report, audience) {
+  return {
+    ...report,
+    byLane: report.byLane.map((lane) => rowView(lane, LANE_FIELDS, audience)),
+    overdue: { ...report.overdue, shipments: report.overdue.shipments.map((s) => rowView(s, OVERDUE_FIELDS, audience)) },
+  };
+}
+
+/* { headers, rows } of one report section (of reportView for audience) for CSV export */
+export function reportCsv(report, section, audience = 'admin') {
+  if (section === 'status') return { headers: ['status', 'count'], rows: report.byStatus };
+  if (section === 'lanes') {
+    return { headers: [...visibleHeaders(LANE_FIELDS, audience), 'shipments', 'delivered', 'avgTransitHours'], rows: report.byLane };
+  }
+  if (section === 'days') return { headers: ['date', 'shipments', 'delivered'], rows: report.byDay };
+  if (section === 'overdue') {
+    const headers = [...visibleHeaders(OVERDUE_FIELDS, audience), 'daysOverdue'];
+    const rows = report.overdue.shipments;
+    if (rows.some((r) => r.branch !== undefined)) headers.push('branch');
+    return { headers, rows };
+  }
+  throw httpError(400, `section must be one of: ${REPORT_SECTIONS.join(', ')}`);
+}
+
+export function clearReportCache() {
+  cache.clear();
+}
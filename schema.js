@@ -0,0 +1,304 @@
+// schema.js
+// Declared record schema: the columns a tracking sheet has, their aliases, types, required flags and defaults.
+// Used when reading (header aliases map to canonical field names, typed cells are converted), when writing
+// (field names are canonicalized, values validated, defaults applied on create) and to check and migrate
+// the header row. Matching of names and aliases ignores case, spaces, '_' and '-' ('Tracking ID' = 'tracking_id').
+// The schema can be overridden with SCHEMA_CONFIG (JSON) or SCHEMA_CONFIG_PATH (JSON file); keys replace the defaults.
+// Exports: COLUMN_TYPES, DEFAULT_SCHEMA, loadSchema, getSchema, canonicalColumn, canonicalFields, headerIndex, readCell,
+//          checkHeaders, describeHeaderReport, emptyHeaderError, planMigration, prepareFields
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const COLUMN_TYPES = ['string', 'number', 'boolean', 'date', 'email', 'history'];
+
+/**
+ * columns: [{ name, aliases?, type?, required?, default?, optional? }]
+ *   type:     one of COLUMN_TYPES (default 'string'); 'history' is the JSON event list
+ *   required: a value must be present when a record is created and may not be cleared
+ *   default:  value used on create when none is supplied
+ *   optional: the sheet may lack the column (no startup warning, only added by the migration on request)
+ */
+export const DEFAULT_SCHEMA = {
+  columns: [
+    { name: 'trackingId', aliases: ['tracking id', 'tracking no', 'id'], type: 'string', required: true },
+    { name: 'status', aliases: ['state'], type: 'string', required: true },
+    { name: 'origin', aliases: ['from'], type: 'string' },
+    { name: 'destination', aliases: ['to'], type: 'string' },
+    { name: 'lastUpdated', aliases: ['last updated', 'updated'], type: 'date' },
+    { name: 'estimatedDelivery', aliases: ['estimated delivery', 'eta'], type: 'date' },
+    { name: 'history', aliases: ['events'], type: 'history', default: [] },
+    { name: 'customerName', aliases: ['customer', 'receiver'], type: 'string', optional: true },
+    { name: 'customerEmail', aliases: ['email'], type: 'email', optional: true },
+    { name: 'customerPhone', aliases: ['phone'], type: 'string', optional: true },
+    { name: 'notificationsOptOut', aliases: ['opt out', 'optout'], type: 'string', optional: true },
+    { name: 'receiverAddress', aliases: ['delivery address', 'address'], type: 'string', optional: true },
+    { name: 'senderName', aliases: ['sender', 'shipper'], type: 'string', optional: true },
+    { name: 'senderPhone', aliases: ['shipper phone'], type: 'string', optional: true },
+    { name: 'senderAddress', aliases: ['shipper address', 'pickup address'], type: 'string', optional: true },
+  ],
+};
+
+let schema = null;
+let byKey = new Map(); // nameKey -> column
+
+/* Lookup key for names and aliases: case, spaces, '_' and '-' do not matter */
+function nameKey(value) {
+  return String(value).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function compile(candidate) {
+  if (!Array.isArray(candidate.columns) || !candidate.columns.length) throw new Error('Schema needs a non-empty columns list');
+  const index = new Map();
+  const columns = candidate.columns.map((col) => {
+    if (!col || !col.name) throw new Error('Schema: every column needs a name');
+    const type = col.type || 'string';
+    if (!COLUMN_TYPES.includes(type)) throw new Error(`Schema: column "${col.name}" has unknown type "${type}"`);
+    const column = { ...col, type, aliases: col.aliases || [], required: Boolean(col.required), optional: Boolean(col.optional) };
+    [column.name, ...column.aliases].forEach((name) => {
+      const key = nameKey(name);
+      if (index.has(key) && index.get(key) !== column) {
+        throw new Error(`Schema: "${name}" is used by both ${index.get(key).name} and ${column.name}`);
+      }
+      index.set(key, column);
+    });
+    return column;
+  });
+  if (!index.has(nameKey('trackingId'))) throw new Error('Schema must declare the trackingId column');
+  if (columns.some((c) => c.required && c.optional)) throw new Error('Schema: a required column cannot be optional');
+  return { schema: { ...candidate, columns }, index };
+}
+
+/**
+ * loadSchema()
+ *
+ * Reads SCHEMA_CONFIG or SCHEMA_CONFIG_PATH when set, validates it and builds the alias index.
+ * Throws on invalid config so a bad deploy fails at startup.
+ */
+export function loadSchema() {
+  let override = null;
+  try {
+    if (process.env.SCHEMA_CONFIG) override = JSON.parse(process.env.SCHEMA_CONFIG);
+    else if (process.env.SCHEMA_CONFIG_PATH) {
+      const file = path.isAbsolute(process.env.SCHEMA_CONFIG_PATH)
+        ? process.env.SCHEMA_CONFIG_PATH
+        : path.join(__dirname, process.env.SCHEMA_CONFIG_PATH);
+      override = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    throw new Error('Schema config is not valid JSON: ' + e.message);
+  }
+
+  const compiled = compile({ ...DEFAULT_SCHEMA, ...(override || {}) });
+  schema = compiled.schema;
+  byKey = compiled.index;
+  return schema;
+}
+
+export function getSchema() {
+  if (!schema) loadSchema();
+  return schema;
+}
+
+function columnOf(name) {
+  getSchema();
+  return byKey.get(nameKey(name)) || null;
+}
+
+/* Canonical field name for a header or key; undeclared names are returned trimmed */
+export function canonicalColumn(name) {
+  const column = columnOf(name);
+  return column ? column.name : String(name).trim();
+}
+
+/* Copy of a record with canonical keys; canonical keys win over aliases when both are supplied */
+export function canonicalFields(input) {
+  const fields = {};
+  Object.keys(input || {})
+    .sort((a, b) => Number(canonicalColumn(a) === a) - Number(canonicalColumn(b) === b))
+    .forEach((key) => {
+      if (input[key] !== undefined) fields[canonicalColumn(key)] = input[key];
+    });
+  return fields;
+}
+
+/* Position of a canonical column in a header row (which may use an alias), or -1 */
+export function headerIndex(headers, name) {
+  return (headers || []).findIndex((h) => canonicalColumn(h) === name);
+}
+
+/* Typed value of a cell: numbers and booleans are converted when they parse, everything else stays text */
+export function readCell(name, value) {
+  const column = columnOf(name);
+  if (!column || value === '' || value === undefined || value === null || typeof value !== 'string') return value;
+  if (column.type === 'number') {
+    const num = Number(value.trim());
+    return value.trim() !== '' && Number.isFinite(num) ? num : value;
+  }
+  if (column.type === 'boolean') {
+    const lower = value.trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(lower)) return true;
+    if (['false', 'no', '0'].includes(lower)) return false;
+  }
+  return value;
+}
+
+/**
+ * checkHeaders(headers)
+ *
+ * Compares a header row with the schema. Returns
+ *   { ok, missing, missingOptional, aliased: [{ column, header, name }], duplicates, undeclared }
+ * where column is the 1-based position; ok is false when a declared, non-optional column is missing
+ * or a column appears twice.
+ */
+export function checkHeaders(headers) {
+  const { columns } = getSchema();
+  const seen = new Map();
+  const aliased = [];
+  const duplicates = [];
+  const undeclared = [];
+
+  (headers || []).forEach((header, idx) => {
+    const label = String(header === undefined || header === null ? '' : header).trim();
+    if (!label) return;
+    const column = columnOf(label);
+    const name = column ? column.name : label;
+    if (seen.has(name)) duplicates.push(name);
+    else seen.set(name, idx);
+    if (!column) undeclared.push(label);
+    else if (label !== column.name) aliased.push({ column: idx + 1, header: label, name: column.name });
+  });
+
+  const missing = columns.filter((c) => !c.optional && !seen.has(c.name)).map((c) => c.name);
+  const missingOptional = columns.filter((c) => c.optional && !seen.has(c.name)).map((c) => c.name);
+  return { ok: !missing.length && !duplicates.length, missing, missingOptional, aliased, duplicates, undeclared };
+}
+
+/* Human-readable warnings for a checkHeaders report (empty when there is nothing to fix) */
+export function describeHeaderReport(report) {
+  const lines = [];
+  if (report.missing.length) lines.push(`missing columns: ${report.missing.join(', ')}`);
+  if (report.aliased.length) {
+    lines.push(`alias headers: ${report.aliased.map((a) => `"${a.header}" -> ${a.name}`).join(', ')}`);
+  }
+  if (report.duplicates.length) lines.push(`duplicate columns (the first one is used): ${report.duplicates.join(', ')}`);
+  return lines;
+}
+
+/* What the backends' getHeaders throw when row 1 of a tab is blank; dataRows counts the non-empty rows below it */
+export function emptyHeaderError(rows = []) {
+  const err = new Error('Header row is empty');
+  err.code = 'EMPTY_HEADER';
+  err.dataRows = rows.filter((r) => Array.isArray(r) && r.some((c) => String(c === undefined || c === null ? '' : c).trim())).length;
+  return err;
+}
+
+/**
+ * planMigration(headers, { add })
+ *
+ * New header row that renames alias headers to their canonical names in place and appends the missing
+ * declared columns at the end, so existing cells keep their positions. Optional columns are only added
+ * when listed in add. Returns { headers, renamed: [{ column, from, to }], added, changed }.
+ */
+export function planMigration(headers, { add = [] } = {}) {
+  const report = checkHeaders(headers);
+  const wanted = new Set((add || []).map((name) => canonicalColumn(name)));
+  const unknown = [...wanted].filter((name) => !columnOf(name));
+  if (unknown.length) {
+    const err = new Error(`Not declared in the schema: ${unknown.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const next = (headers || []).map((h) => (h === undefined || h === null ? '' : String(h).trim()));
+  const renamed = [];
+  report.aliased.forEach(({ column, header, name }) => {
+    // a header whose canonical name also exists as its own column stays as it is
+    if (next.includes(name)) return;
+    next[column - 1] = name;
+    renamed.push({ column, from: header, to: name });
+  });
+  const added = [...report.missing, ...report.missingOptional.filter((name) => wanted.has(name))];
+  next.push(...added);
+  return { headers: next, renamed, added, changed: renamed.length > 0 || added.length > 0 };
+}
+
+function isValidDate(value) {
+  const str = String(value).trim();
+  const isoish = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(str) ? str.replace(' ', 'T') : str;
+  return !Number.isNaN(Date.parse(isoish));
+}
+
+/* Error message for a non-empty value of the wrong type, or null */
+function typeError(column, value) {
+  if (column.type === 'history' || column.type === 'string') return null;
+  if (column.type === 'number') {
+    return Number.isFinite(typeof value === 'number' ? value : Number(String(value).trim())) ? null : `${column.name} must be a number`;
+  }
+  if (column.type === 'boolean') {
+    return typeof value === 'boolean' || ['true', 'false', 'yes', 'no', '1', '0'].includes(String(value).trim().toLowerCase())
+      ? null
+      : `${column.name} must be true or false`;
+  }
+  if (column.type === 'date') return isValidDate(value) ? null : `${column.name} is not a valid date`;
+  if (column.type === 'email') return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim()) ? null : `${column.name} is not a valid email address`;
+  return null;
+}
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * prepareFields(fields, headers, { mode })
+ *
+ * Checks a write against the schema and the sheet's (canonical) headers.
+ *   mode 'create':  defaults are applied and required columns must have a value
+ *   mode 'replace': the full record is written; required columns must have a value
+ *   mode 'patch':   only supplied fields change; required columns may not be cleared (null or '')
+ * Keys are canonicalized through the aliases. Fields that are neither declared nor a sheet column, and
+ * declared columns the sheet does not have yet, are errors rather than silently dropped.
+ * Returns { fields, errors }.
+ */
+export function prepareFields(input, headers, { mode = 'create' } = {}) {
+  const { columns } = getSchema();
+  const present = new Set((headers || []).map((h) => canonicalColumn(h)));
+  const fields = canonicalFields(input);
+  const errors = [];
+
+  if (mode === 'create') {
+    columns.forEach((c) => {
+      if (c.default !== undefined && isEmpty(fields[c.name]) && present.has(c.name)) {
+        fields[c.name] = Array.isArray(c.default) ? [...c.default] : c.default;
+      }
+    });
+  }
+
+  Object.keys(fields).forEach((name) => {
+    const column = columnOf(name);
+    if (!present.has(name)) {
+      errors.push(
+        column
+          ? `${name} is not a column of the sheet yet (run the schema migration to add it)`
+          : `Unknown field: ${name}`
+      );
+      return;
+    }
+    if (column && !isEmpty(fields[name])) {
+      const error = typeError(column, fields[name]);
+      if (error) errors.push(error);
+    }
+  });
+
+  columns
+    .filter((c) => c.required && present.has(c.name))
+    .forEach((c) => {
+      const supplied = Object.prototype.hasOwnProperty.call(fields, c.name);
+      if (mode === 'patch' ? supplied && isEmpty(fields[c.name]) : isEmpty(fields[c.name])) {
+        errors.push(`${c.name} is required`);
+      }
+    });
+
+  return { fields, errors };
+}
@@ -4,16 +4,90 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import path from 'path';
 import {
-  initSheets,
+  initStorage,
+  getBackendName,
   getHeaders,
   getAllRows,
   getRowByTrackingId,
+  getRowsByTrackingIds,
   createRow,
   updateRow,
-  deleteRow,
-} from './sheets.js';
+  patchRow,
+  upsertRows,
+  appendEvent,
+  getRecordVersion,
+  refreshStorageCache,
+  storageCacheStats,
+  storageQueueStats,
+  getSheetHeaders,
+  migrateSchema,
+} from './storage.js';
+import { validateEvent } from './events.js';
+import { normalizeTrackingId, trackingView } from './records.js';
+import { issueApiKey, listApiKeys, revokeApiKey, verifyApiKey } from './apikeys.js';
+import {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  ensureBootstrapAdmin,
+  authenticateUser,
+  getUser,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+} from './users.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  denyAccessToken,
+  isAccessTokenRevoked,
+} from './sessions.js';
+import { rateLimit, createLoginGuard, clientIp } from './ratelimit.js';
+import { loadFieldPolicy, applyFieldPolicy, visibleHeaders } from './fields.js';
+import { parseListQuery, parseBound, queryRecords } from './query.js';
+import { loadStatusConfig, getStatusConfig, resolveStatus } from './status.js';
+import { loadSchema, getSchema, checkHeaders } from './schema.js';
+import { startAuditLog, listAudit } from './audit.js';
+import { openTrackingStream, startStreams } from './stream.js';
+import { loadTrackingIdConfig, getTrackingIdConfig, generateTrackingId, validateTrackingId, typoCandidates } from './trackingids.js';
+import {
+  loadBranchConfig,
+  getBranches,
+  getBranch,
+  getDefaultBranch,
+  prefixBranch,
+  branchScope,
+  canAccessBranch,
+  coversBranches,
+} from './branches.js';
+import {
+  CHANNELS,
+  startNotifications,
+  listNotifications,
+  listOptOuts,
+  addOptOut,
+  removeOptOut,
+  verifyUnsubscribe,
+  unsubscribe,
+} from './notifications.js';
+import {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  replayDelivery,
+  startWebhooks,
+} from './webhooks.js';
+import { TRASH_RETENTION_DAYS, moveToTrash, listTrash, restoreFromTrash, deleteFromTrash, startTrashPurge } from './trash.js';
+import { IMPORT_CONTENT_TYPES, readUpload, planImport, writeCsv } from './transfer.js';
+import { REPORT_SECTIONS, getReport, reportView, reportCsv, clearReportCache } from './reports.js';
+import { LABEL_LAYOUTS, renderLabels } from './labels.js';
 
 dotenv.config();
 
@@ -21,16 +95,40 @@ const app = express();
 
 // Render provides PORT via env; default to 5000 for local dev
 const PORT = Number(process.env.PORT) || 5000;
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
+const DEFAULT_JWT_SECRET = 'your_jwt_secret';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+// Access tokens are short-lived; clients renew them with the refresh token from login
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 
+// X-Forwarded-For is only trusted when TRUST_PROXY says so: without a proxy any client could set it and get a fresh
+// rate-limit key per request. On Render (TLS terminated in a proxy) set TRUST_PROXY=1 so req.ip is the client.
+// Accepts true / false, a hop count, or an Express trust list ('loopback', IPs, subnets)
+const parseTrustProxy = (value) => {
+  const raw = String(value === undefined ? '' : value).trim();
+  if (!raw || raw.toLowerCase() === 'false') return false;
+  if (raw.toLowerCase() === 'true') return true;
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+const envNumber = (name, fallback) => (Number(process.env[name]) > 0 ? Number(process.env[name]) : fallback);
+
 // ALLOWED_ORIGINS may be comma-separated
 const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || 'http://localhost:3000')
   .split(',')
   .map(s => s.trim())
   .filter(Boolean);
 
+// public tracking lookups per client IP and window; a batch lookup uses one per ID
+const TRACK_RATE_LIMIT_MAX = envNumber('TRACK_RATE_LIMIT_MAX', 30);
+// most IDs one batch lookup (GET /api/track?ids= or POST /api/track/batch) may ask for; above
+// TRACK_RATE_LIMIT_MAX a full batch could never pass the limiter
+const TRACK_BATCH_MAX = Math.min(envNumber('TRACK_BATCH_MAX', 30), TRACK_RATE_LIMIT_MAX);
+// most labels one print request (GET/POST /api/admin/labels) may ask for
+const LABEL_BATCH_MAX = envNumber('LABEL_BATCH_MAX', 200);
+
 app.use(express.json({ limit: '1mb' }));
 
 app.use(
@@ -42,6 +140,7 @@ app.use(
       return callback(new Error('Not allowed by CORS'));
     },
     credentials: true,
+    exposedHeaders: ['ETag'],
   })
 );
 
@@ -51,101 +150,439 @@ app.use((req, res, next) => {
   next();
 });
 
+// Rate limits (per client IP unless noted); all windows in ms
+const apiLimiter = rateLimit({
+  name: 'api',
+  windowMs: envNumber('API_RATE_LIMIT_WINDOW_MS', 60000),
+  max: envNumber('API_RATE_LIMIT_MAX', 300),
+});
+// a batch lookup uses one unit per ID, so it costs as much as the same lookups made one at a time. A batch over
+// TRACK_BATCH_MAX looks nothing up: it costs one unit and gets its 400 instead of spending the caller's window
+const trackLimiter = rateLimit({
+  name: 'track',
+  windowMs: envNumber('TRACK_RATE_LIMIT_WINDOW_MS', 60000),
+  max: TRACK_RATE_LIMIT_MAX,
+  cost: (req) => {
+    const ids = req.path === '/api/track/batch' ? (req.body || {}).ids : !req.query.id && req.query.ids;
+    const count = ids ? parseIdList(ids).length : 1;
+    return count > TRACK_BATCH_MAX ? 1 : count;
+  },
+  message: 'Too many tracking lookups, please try again later',
+});
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: envNumber('LOGIN_RATE_LIMIT_WINDOW_MS', 15 * 60000),
+  max: envNumber('LOGIN_RATE_LIMIT_MAX', 20),
+  message: 'Too many login attempts, please try again later',
+});
+// token refreshes are routine (every ACCESS_TOKEN_TTL per open tab), so they do not spend the login budget
+const refreshLimiter = rateLimit({
+  name: 'refresh',
+  windowMs: envNumber('REFRESH_RATE_LIMIT_WINDOW_MS', 15 * 60000),
+  max: envNumber('REFRESH_RATE_LIMIT_MAX', 60),
+  message: 'Too many token refreshes, please try again later',
+});
+// per account, whichever IPs the attempts come from
+const loginAccountLimiter = rateLimit({
+  name: 'login-account',
+  windowMs: envNumber('LOGIN_RATE_LIMIT_WINDOW_MS', 15 * 60000),
+  max: envNumber('LOGIN_ACCOUNT_RATE_LIMIT_MAX', 10),
+  keyGenerator: (req) => req.body && req.body.username && String(req.body.username).trim().toLowerCase(),
+  message: 'Too many login attempts for this account, please try again later',
+});
+const loginGuard = createLoginGuard({
+  maxFailures: envNumber('LOGIN_MAX_FAILURES', 5),
+  baseLockMs: envNumber('LOGIN_LOCKOUT_MS', 60000),
+  maxLockMs: envNumber('LOGIN_MAX_LOCKOUT_MS', 60 * 60000),
+});
+
+app.use('/api', apiLimiter);
+
+// Verifies the JWT and loads the current account, so role changes and disabling apply immediately
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) return res.status(401).json({ error: 'Access token required' });
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, payload) => {
     if (err) return res.status(403).json({ error: 'Invalid or expired token' });
-    req.user = user;
-    next();
+    try {
+      if (await isAccessTokenRevoked(payload)) return res.status(401).json({ error: 'Token has been revoked' });
+      const user = await getUser(payload.username);
+      if (!user) return res.status(403).json({ error: 'Account no longer active' });
+      req.user = {
+        username: user.username,
+        role: user.role,
+        branches: user.branches || [],
+        sid: payload.sid,
+        jti: payload.jti,
+        exp: payload.exp,
+      };
+      next();
+    } catch (error) {
+      console.error('Error loading user:', error);
+      return res.status(500).json({ error: error.message || 'Server error' });
+    }
   });
 };
 
-app.post('/api/admin/login', (req, res) => {
-  const { username, password } = req.body;
-  if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
+// Accepts a user JWT whose role grants `scope` (see ROLE_PERMISSIONS in users.js) or an API key carrying it.
+// API keys are sent as `X-API-Key: <key>` or `Authorization: ApiKey <key>`
+const requireScope = (scope) => async (req, res, next) => {
+  const authHeader = req.headers['authorization'] || '';
+  const apiKey = req.headers['x-api-key'] || (authHeader.startsWith('ApiKey ') ? authHeader.slice(7) : '');
+  if (!apiKey) {
+    return authenticateToken(req, res, () => {
+      if (!hasPermission(req.user.role, scope)) {
+        return res.status(403).json({ error: `Role ${req.user.role} is not allowed to ${scope}` });
+      }
+      next();
+    });
+  }
+
+  try {
+    const key = await verifyApiKey(apiKey);
+    if (!key) return res.status(401).json({ error: 'Invalid or revoked API key' });
+    if (!key.scopes.includes(scope)) return res.status(403).json({ error: `API key lacks scope ${scope}` });
+    req.user = { apiKey: key.id, name: key.name, scopes: key.scopes, branches: key.branches };
+    next();
+  } catch (error) {
+    console.error('Error verifying API key:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+};
+
+// Field policy audience for authenticated callers (see fields.js); API keys count as staff
+const audienceFor = (req) => (req.user && req.user.role === 'admin' ? 'admin' : 'staff');
+
+const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Branches a listing covers: ?branch=a,b (each must be one of the caller's branches) or all of the caller's branches
+const listBranches = (req) => {
+  const scope = branchScope(req.user);
+  if (!req.query.branch) return scope;
+  const requested = String(req.query.branch)
+    .split(',')
+    .map((b) => b.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = requested.filter((b) => !getBranch(b));
+  if (unknown.length) throw httpError(400, `Unknown branch: ${unknown.join(', ')}`);
+  const denied = requested.filter((b) => !scope.includes(b));
+  if (denied.length) throw httpError(403, `No access to branch: ${denied.join(', ')}`);
+  return requested;
+};
+
+// Branch a new record is written to: the requested one, else the one its ID prefix names, else the default
+// branch (or the caller's first branch when the default is outside their branches). 400 / 403 when not allowed
+const newRecordBranch = (req, requested, trackingId) => {
+  if (requested) {
+    const branch = getBranch(requested);
+    if (!branch) throw httpError(400, `Unknown branch "${requested}"`);
+    if (!canAccessBranch(req.user, branch.id)) throw httpError(403, `No access to branch ${branch.id}`);
+    return branch;
+  }
+  const byPrefix = trackingId ? prefixBranch(trackingId) : null;
+  if (byPrefix) {
+    if (!canAccessBranch(req.user, byPrefix.id)) throw httpError(403, `Tracking ID ${trackingId} belongs to branch ${byPrefix.id}`);
+    return byPrefix;
+  }
+  const scope = branchScope(req.user);
+  if (!scope.length) throw httpError(403, 'Your account has no branch');
+  return scope.includes(getDefaultBranch().id) ? getDefaultBranch() : getBranch(scope[0]);
+};
+
+// Webhooks, the notification log and opt-outs, and the cache span every branch: accounts and API keys limited to
+// some branches get 403 (for webhooks, a subscription would carry the shipments of every branch)
+const requireAllBranches = (req, res, next) => {
+  if (!coversBranches(req.user, [])) return res.status(403).json({ error: 'Not available to branch-limited accounts' });
+  next();
+};
+
+// Branch tab a schema route works on: ?branch= or the default branch; 400 when unknown, 403 outside the caller's branches
+const schemaBranch = (req) => {
+  const branch = req.query.branch ? getBranch(req.query.branch) : getDefaultBranch();
+  if (!branch) throw httpError(400, `Unknown branch "${req.query.branch}"`);
+  if (!canAccessBranch(req.user, branch.id)) throw httpError(403, `No access to branch ${branch.id}`);
+  return branch;
+};
+
+// Record lookup for signed-in callers: null when missing or kept by a branch outside theirs
+const findInScope = async (req, id) => {
+  const found = await getRowByTrackingId(id);
+  return found && canAccessBranch(req.user, found.branch) ? found : null;
+};
+
+// Rows of a listing with their branch; the column is only shown when there are several branches
+const multiBranch = () => getBranches().length > 1;
+const withBranches = (all) => (multiBranch() ? all.rows.map((r, i) => ({ ...r, branch: all.rowBranches[i] })) : all.rows);
+const branchHeaders = (headers) => (multiBranch() && !headers.includes('branch') ? [...headers, 'branch'] : headers);
+
+// If-Match: "v1", "v2" | * -> ['v1', 'v2'] | '*' | null when absent
+const parseIfMatch = (req) => {
+  const header = req.headers['if-match'];
+  if (!header) return null;
+  if (header.trim() === '*') return '*';
+  return header
+    .split(',')
+    .map(t => t.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+};
+
+const sendPreconditionFailed = (res, error) => {
+  if (error.currentVersion) res.set('ETag', `"${error.currentVersion}"`);
+  return res.status(412).json({ error: error.message || 'Precondition Failed' });
+};
+
+// 422 for status vocabulary / lifecycle violations (see status.js)
+const sendInvalidStatus = (res, error) => res.status(422).json({ error: error.message, ...(error.details || {}) });
+
+// 503 with Retry-After when Google Sheets stays unavailable or over quota after the retries in sheets.js
+const SHEETS_RETRY_AFTER_S = 30;
+const sendUnavailable = (res, error) => {
+  res.set('Retry-After', String(SHEETS_RETRY_AFTER_S));
+  return res.status(503).json({ error: error.message });
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ username: user.username, role: user.role, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
+
+app.post('/api/admin/login', loginLimiter, loginAccountLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
+
+    const accountKey = `user:${String(username).trim().toLowerCase()}`;
+    const guardKeys = [`ip:${clientIp(req)}`, accountKey];
+    const lockedFor = await loginGuard.retryAfter(guardKeys);
+    if (lockedFor > 0) return loginGuard.sendLocked(res, lockedFor);
+
+    const user = await authenticateUser(username, password);
+    if (!user) await loginGuard.recordFailure(guardKeys);
+    else await loginGuard.recordSuccess([accountKey]);
 
-  if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-    const token = jwt.sign({ username }, JWT_SECRET, { expiresIn: '24h' });
-    return res.json({ token });
+    if (user) {
+      const { sessionId, refreshToken } = await createSession(user.username);
+      const token = signAccessToken(user, sessionId);
+      return res.json({
+        token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+        user: { username: user.username, role: user.role },
+      });
+    }
+
+    res.status(401).json({ error: 'Invalid credentials' });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error POST /api/admin/login:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
   }
+});
+
+// POST /api/admin/refresh { refreshToken } -> new access token + rotated refresh token
+app.post('/api/admin/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ error: 'refreshToken is required' });
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    const user = await getUser(rotated.username);
+    if (!user) {
+      await revokeSession(rotated.sessionId);
+      return res.status(401).json({ error: 'Account no longer active' });
+    }
 
-  res.status(401).json({ error: 'Invalid credentials' });
+    const token = signAccessToken(user, rotated.sessionId);
+    return res.json({ token, refreshToken: rotated.refreshToken, expiresIn: ACCESS_TOKEN_TTL });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Error POST /api/admin/refresh:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
 });
 
+// Ends the current session: its refresh token stops working and this access token is denied
+app.post('/api/admin/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+    await denyAccessToken(req.user.jti, req.user.exp);
+    return res.json({ message: 'Logged out' });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error POST /api/admin/logout:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.post('/api/admin/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await revokeUserSessions(req.user.username);
+    await denyAccessToken(req.user.jti, req.user.exp);
+    return res.json({ message: 'Logged out of all sessions', sessions });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error POST /api/admin/logout-all:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.get('/api/admin/me', authenticateToken, (req, res) => {
+  const { username, role } = req.user;
+  return res.json({ username, role, permissions: ROLE_PERMISSIONS[role] || [], branches: branchScope(req.user) });
+});
+
+// Branches the caller may see and write, for branch pickers
+app.get('/api/admin/branches', requireScope('track:read'), (req, res) => {
+  const scope = branchScope(req.user);
+  return res.json({
+    defaultBranch: getDefaultBranch().id,
+    branches: getBranches()
+      .filter((b) => scope.includes(b.id))
+      .map(({ id, name, prefixes }) => ({ id, name, prefixes })),
+  });
+});
+
+/* IDs of a batch request (comma/whitespace separated string or array), trimmed and de-duplicated */
+function parseIdList(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const seen = new Set();
+  return raw
+    .map((v) => String(v === null || v === undefined ? '' : v).trim())
+    .filter((id) => {
+      const key = normalizeTrackingId(id);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/* Tracking IDs of the caller's branches one typo away from id (see trackingids.js); signed-in callers only */
+async function suggestTrackingIds(req, id) {
+  const candidates = typoCandidates(id);
+  if (candidates.length === 0) return [];
+  const found = await getRowsByTrackingIds(candidates);
+  return found.filter((entry) => entry && canAccessBranch(req.user, entry.branch)).map((entry) => entry.data.trackingId);
+}
+
+/* Batch lookup response: { results: [public view, ...], notFound: [id, ...], invalid: [id, ...] } in request order */
+async function sendBatchLookup(res, value) {
+  const ids = parseIdList(value);
+  if (ids.length === 0) return res.status(400).json({ error: 'At least one tracking ID required' });
+  if (ids.length > TRACK_BATCH_MAX) {
+    return res.status(400).json({ error: `At most ${TRACK_BATCH_MAX} tracking IDs per request` });
+  }
+
+  // looked up first: a stored record is found even when its ID fails the format check; only misses are invalid
+  const found = await getRowsByTrackingIds(ids);
+  const results = [];
+  const notFound = [];
+  const invalid = [];
+  found.forEach((entry, i) => {
+    if (entry) results.push(applyFieldPolicy(trackingView(entry.data), 'public'));
+    else if (validateTrackingId(ids[i]).valid) notFound.push(ids[i]);
+    else invalid.push(ids[i]);
+  });
+  return res.json({ results, notFound, invalid });
+}
+
 // GET /api/track?id=TRACKINGID
-app.get('/api/track', async (req, res) => {
+// GET /api/track?ids=A,B,C  batch lookup (see sendBatchLookup)
+app.get('/api/track', trackLimiter, async (req, res) => {
   try {
-    const { id } = req.query;
+    const { id, ids } = req.query;
+    if (ids !== undefined && !id) return await sendBatchLookup(res, ids);
     if (!id) return res.status(400).json({ error: 'Tracking ID required' });
 
+    // the format check only explains a miss: stored records are found whatever their ID looks like.
+    // No suggestions here: existing IDs one typo away would let anyone enumerate tracking IDs
     const result = await getRowByTrackingId(id);
-    if (!result) return res.status(404).json({ error: 'Tracking ID not found' });
+    if (!result) {
+      const check = validateTrackingId(id);
+      if (!check.valid) return res.status(400).json({ error: check.reason });
+      return res.status(404).json({ error: 'Tracking ID not found' });
+    }
 
-    // reuse normalization logic present in your original server; keep response shape stable
-    const raw = { ...result.data };
-
-    const keyMap = {
-      trackingid: 'trackingId',
-      'tracking id': 'trackingId',
-      id: 'trackingId',
-      status: 'status',
-      state: 'status',
-      origin: 'origin',
-      from: 'origin',
-      destination: 'destination',
-      to: 'destination',
-      lastupdated: 'lastUpdated',
-      'last updated': 'lastUpdated',
-      updated: 'lastUpdated',
-      estimateddelivery: 'estimatedDelivery',
-      'estimated delivery': 'estimatedDelivery',
-      eta: 'estimatedDelivery',
-      history: 'history',
-      events: 'history',
-    };
-
-    const normalized = {};
-    Object.keys(raw).forEach(k => {
-      const lower = String(k).trim().toLowerCase();
-      const mapped = keyMap[lower] || String(k).trim();
-      normalized[mapped] = raw[k];
-    });
+    // only public (or masked) columns and history keys leave this route
+    return res.json(applyFieldPolicy(trackingView(result.data), 'public'));
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error GET /api/track:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
 
-    const data = {
-      trackingId: normalized.trackingId || '',
-      status: normalized.status || '',
-      origin: normalized.origin || '',
-      destination: normalized.destination || '',
-      lastUpdated: normalized.lastUpdated || '',
-      estimatedDelivery: normalized.estimatedDelivery || '',
-      ...normalized,
-    };
-
-    if (data.history === undefined || data.history === null) data.history = [];
-    else if (typeof data.history === 'string') {
-      try { data.history = JSON.parse(data.history); }
-      catch { data.history = []; }
-    } else if (!Array.isArray(data.history)) {
-      data.history = [];
-    }
+// POST /api/track/batch  body: { ids: [...] } or { ids: "A,B,C" }
+app.post('/api/track/batch', trackLimiter, async (req, res) => {
+  try {
+    return await sendBatchLookup(res, (req.body || {}).ids);
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error POST /api/track/batch:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
 
-    data.history = data.history.map(h => (h && typeof h === 'object' ? h : {}));
+// GET /api/notifications/unsubscribe?channel=&contact=&token=  signed link from notification messages
+// Only shows a confirm page: mail scanners and link prefetchers follow links, so the opt-out itself is the POST
+app.get('/api/notifications/unsubscribe', trackLimiter, (req, res) => {
+  try {
+    const { channel, contact, token } = req.query;
+    verifyUnsubscribe({ channel, contact, token });
+    // an empty action posts back to this URL, link parameters included
+    return res
+      .type('html')
+      .send('<form method="post" action=""><p>Stop receiving shipment notifications at this address?</p><button type="submit">Unsubscribe</button></form>');
+  } catch (error) {
+    if (error.status === 400) return res.status(400).type('html').send('<p>This unsubscribe link is not valid.</p>');
+    console.error('Error GET /api/notifications/unsubscribe:', error);
+    return res.status(500).type('html').send('<p>Something went wrong, please try again later.</p>');
+  }
+});
 
-    return res.json(data);
+// POST /api/notifications/unsubscribe?channel=&contact=&token=  the confirm form, or a one-click
+// List-Unsubscribe-Post request (body List-Unsubscribe=One-Click) from the mail client (headers set in transports.js)
+app.post('/api/notifications/unsubscribe', trackLimiter, express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const { channel, contact, token } = req.query;
+    await unsubscribe({ channel, contact, token });
+    return res.type('html').send('<p>You will no longer receive shipment notifications at this address.</p>');
   } catch (error) {
-    console.error('Error GET /api/track:', error);
+    if (error.status === 400) return res.status(400).type('html').send('<p>This unsubscribe link is not valid.</p>');
+    if (error.status === 503) {
+      res.set('Retry-After', String(SHEETS_RETRY_AFTER_S));
+      return res.status(503).type('html').send('<p>Something went wrong, please try again later.</p>');
+    }
+    console.error('Error POST /api/notifications/unsubscribe:', error);
+    return res.status(500).type('html').send('<p>Something went wrong, please try again later.</p>');
+  }
+});
+
+// GET /api/track/:id/stream  Server-Sent Events: 'tracking' on every change, 'deleted' when removed (see stream.js)
+app.get('/api/track/:id/stream', trackLimiter, async (req, res) => {
+  try {
+    await openTrackingStream(req, res, req.params.id);
+  } catch (error) {
+    if (error.status === 503 && !res.headersSent) return sendUnavailable(res, error);
+    console.error('Error GET /api/track/:id/stream:', error);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: error.message || 'Server error' });
   }
 });
 
-app.post('/api/track', async (req, res) => {
+// POST /api/track  body: record fields, optionally branch (new records only; see newRecordBranch)
+app.post('/api/track', requireScope('track:write'), async (req, res) => {
   try {
-    const rowData = req.body;
-    if (!rowData || !rowData.trackingId) return res.status(400).json({ error: 'trackingId is required' });
+    if (!req.body || typeof req.body !== 'object') return res.status(400).json({ error: 'Tracking data required' });
+    const { branch: requestedBranch, ...rowData } = req.body;
 
     if (rowData.history === undefined || rowData.history === null) {
       rowData.history = [];
@@ -160,70 +597,696 @@ app.post('/api/track', async (req, res) => {
       rowData.history = [];
     }
 
-    const existing = await getRowByTrackingId(rowData.trackingId);
-
+    const existing = rowData.trackingId ? await getRowByTrackingId(rowData.trackingId) : null;
     if (existing) {
-      const updated = await updateRow(rowData.trackingId, rowData);
-      return res.json({ created: false, data: updated });
+      if (!canAccessBranch(req.user, existing.branch)) {
+        return res.status(409).json({ error: 'Tracking ID is already used by another branch' });
+      }
+      if (requestedBranch && String(requestedBranch).trim().toLowerCase() !== existing.branch) {
+        return res.status(400).json({ error: 'branch cannot be changed' });
+      }
+      const updated = await updateRow(rowData.trackingId, rowData, { ifMatch: parseIfMatch(req), actor: req.user });
+      res.set('ETag', `"${await getRecordVersion(updated, existing.branch)}"`);
+      return res.json({ created: false, data: applyFieldPolicy(updated, audienceFor(req)) });
     }
 
-    const created = await createRow(rowData);
-    res.status(201).json({ created: true, data: created });
+    const branch = newRecordBranch(req, requestedBranch, rowData.trackingId);
+    if (rowData.trackingId) {
+      const check = validateTrackingId(rowData.trackingId);
+      if (!check.valid) return res.status(400).json({ error: check.reason });
+    } else {
+      // without a trackingId a new one is generated in the configured format (trackingids.js), with the branch's prefix
+      const prefix = branch.prefixes.find((p) => getTrackingIdConfig().prefixes.includes(p));
+      rowData.trackingId = await generateTrackingId(prefix ? { prefix } : {});
+    }
+
+    const created = await createRow(rowData, { actor: req.user, branch: branch.id });
+    res.set('ETag', `"${await getRecordVersion(created, branch.id)}"`);
+    res.status(201).json({ created: true, data: applyFieldPolicy(created, audienceFor(req)) });
   } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    // 409: another request created the same tracking ID between the lookup above and the write
+    if (error.status === 403 || error.status === 409) return res.status(error.status).json({ error: error.message });
+    if (error.status === 412) return sendPreconditionFailed(res, error);
+    if (error.status === 422) return sendInvalidStatus(res, error);
+    if (error.status === 400) return res.status(400).json(error.details ? { error: 'Invalid record', details: error.details } : { error: error.message });
     console.error('Error POST /api/track:', error);
     return res.status(500).json({ error: error.message || 'Server error' });
   }
 });
 
 // Admin endpoints
-app.get('/api/admin/trackings', authenticateToken, async (req, res) => {
-  try {
-    const headers = await getHeaders();
-    const all = await getAllRows();
+// Status vocabulary and allowed transitions, for building status pickers
+app.get('/api/admin/statuses', requireScope('track:read'), (req, res) => {
+  const { statuses, initial, defaultStatus, transitions } = getStatusConfig();
+  return res.json({ statuses, initial, defaultStatus, transitions });
+});
 
-    let rows = [];
-    if (all && Array.isArray(all.rows)) rows = all.rows;
-    else if (Array.isArray(all)) rows = all;
-    else if (all && typeof all === 'object' && Array.isArray(all.rows)) rows = all.rows;
-    else if (all && typeof all === 'object') {
-      const maybeRows = Object.values(all);
-      const foundArray = maybeRows.find(v => Array.isArray(v));
-      rows = foundArray || [];
-    } else rows = [];
+app.get('/api/admin/trackings', requireScope('track:read'), async (req, res) => {
+  try {
+    const all = await getAllRows({ branches: listBranches(req) });
+    const headers = branchHeaders(all.headers);
+    const rows = withBranches(all);
 
-    rows = rows.map(r => (r && typeof r === 'object' ? r : { trackingId: String(r) }));
+    // ?q=&status=&lastUpdatedFrom=&lastUpdatedTo=&etaFrom=&etaTo=&sort=&page=&limit=&cursor= (see query.js)
+    // &branch=a,b limits the listing to some of the caller's branches
+    const audience = audienceFor(req);
+    const visible = visibleHeaders(headers, audience);
+    const result = queryRecords(rows, parseListQuery(req.query, visible));
 
-    return res.json({ headers, rows });
+    return res.json({
+      headers: visible,
+      rows: result.rows.map(r => applyFieldPolicy(r, audience)),
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      pages: result.pages,
+      nextCursor: result.nextCursor,
+    });
   } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 403) return res.status(error.status).json({ error: error.message });
     console.error('Error GET /api/admin/trackings:', error);
     return res.status(500).json({ error: error.message || 'Server error' });
   }
 });
 
-app.get('/api/admin/track/:id', authenticateToken, async (req, res) => {
+// POST /api/admin/trackings/import[?dryRun=true][&format=csv|xlsx][&branch=]  body: raw CSV or XLSX file
+// Upserts by trackingId (empty cells keep the stored value) and reports the outcome of every row.
+// Existing records are updated in their branch; new ones go to ?branch= or the branch their ID prefix names
+app.post(
+  '/api/admin/trackings/import',
+  requireScope('track:write'),
+  express.raw({ type: IMPORT_CONTENT_TYPES, limit: process.env.IMPORT_MAX_BYTES || '10mb' }),
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+      if (req.query.branch) newRecordBranch(req, req.query.branch);
+      const table = await readUpload(req.body, { contentType: req.get('Content-Type') || '', format: req.query.format });
+      // columns of every branch the caller may write
+      const headers = [];
+      for (const id of branchScope(req.user)) {
+        (await getHeaders(id)).forEach((h) => !headers.includes(h) && headers.push(h));
+      }
+      const { columns, ignoredColumns, rows } = planImport(table, headers);
+
+      // statuses go through the same lifecycle check as single writes, against the stored record
+      for (const entry of rows) {
+        if (entry.errors.length) continue;
+        const existing = await getRowByTrackingId(entry.record.trackingId);
+        entry.exists = Boolean(existing);
+        try {
+          if (existing && !canAccessBranch(req.user, existing.branch)) {
+            throw httpError(403, 'Tracking ID is already used by another branch');
+          }
+          // new IDs are checked like POST /api/track does, so every imported record can be looked up publicly
+          if (!existing) {
+            const check = validateTrackingId(entry.record.trackingId);
+            if (!check.valid) throw httpError(422, check.reason);
+          }
+          entry.branch = existing ? existing.branch : newRecordBranch(req, req.query.branch, entry.record.trackingId).id;
+          const requested = !existing && entry.record.status === undefined ? null : entry.record.status;
+          const status = resolveStatus(existing && existing.data.status, requested, { creating: !existing });
+          if (status !== undefined) entry.record.status = status;
+        } catch (e) {
+          if (e.status !== 422 && e.status !== 403) throw e;
+          entry.errors.push(e.message);
+        }
+      }
+
+      const valid = rows.filter(e => !e.errors.length);
+      const applied =
+        valid.length && !dryRun
+          ? await upsertRows(valid.map(e => e.record), { actor: req.user, targetBranches: valid.map(e => e.branch) })
+          : [];
+      const actions = new Map(valid.map((e, i) => [e, dryRun ? (e.exists ? 'updated' : 'created') : applied[i].action]));
+
+      const results = rows.map(e =>
+        e.errors.length
+          ? { row: e.row, trackingId: e.trackingId, status: 'error', errors: e.errors }
+          : { row: e.row, trackingId: e.trackingId, status: actions.get(e), branch: e.branch }
+      );
+
+      const count = (status) => results.filter((r) => r.status === status).length;
+      return res.json({
+        dryRun,
+        columns,
+        ignoredColumns,
+        total: results.length,
+        created: count('created'),
+        updated: count('updated'),
+        failed: count('error'),
+        results,
+      });
+    } catch (error) {
+      if (error.status === 503) return sendUnavailable(res, error);
+      if (error.status === 400 || error.status === 403 || error.status === 413) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error POST /api/admin/trackings/import:', error);
+      return res.status(500).json({ error: error.message || 'Server error' });
+    }
+  }
+);
+
+// GET /api/admin/trackings/export  same filters and sort as /api/admin/trackings, returned as a CSV download
+app.get('/api/admin/trackings/export', requireScope('track:read'), async (req, res) => {
+  try {
+    const all = await getAllRows({ branches: listBranches(req) });
+    const headers = branchHeaders(all.headers);
+    const rows = withBranches(all);
+
+    const audience = audienceFor(req);
+    const visible = visibleHeaders(headers, audience);
+    const { page, limit, cursor, branch, ...filters } = req.query;
+    const result = queryRecords(rows, parseListQuery(filters, visible));
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="trackings-${stamp}.csv"`);
+    return await writeCsv(res, visible, result.rows.map(r => applyFieldPolicy(r, audience)));
+  } catch (error) {
+    if (error.status === 503 && !res.headersSent) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 403) return res.status(error.status).json({ error: error.message });
+    console.error('Error GET /api/admin/trackings/export:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/reports[?from=&to=][&branch=][&refresh=true][&format=csv&section=status|lanes|days|overdue]
+// Shipment statistics for the shipments started in the range (see reports.js); cached for REPORTS_CACHE_TTL_MS
+app.get('/api/admin/reports', requireScope('track:read'), async (req, res) => {
+  try {
+    const from = parseBound(req.query.from, 'from', false);
+    const to = parseBound(req.query.to, 'to', true);
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (format !== 'json' && format !== 'csv') return res.status(400).json({ error: 'format must be json or csv' });
+    const section = String(req.query.section || 'overdue').toLowerCase();
+    if (format === 'csv' && !REPORT_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: `section must be one of: ${REPORT_SECTIONS.join(', ')}` });
+    }
+
+    const refresh = req.query.refresh === 'true' || req.query.refresh === '1';
+    const audience = audienceFor(req);
+    const report = reportView(await getReport({ from, to, branches: listBranches(req), refresh }), audience);
+    if (format === 'json') return res.json(report);
+
+    const { headers, rows } = reportCsv(report, section, audience);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="report-${section}-${stamp}.csv"`);
+    return await writeCsv(res, headers, rows);
+  } catch (error) {
+    if (error.status === 503 && !res.headersSent) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 403) return res.status(error.status).json({ error: error.message });
+    console.error('Error GET /api/admin/reports:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.get('/api/admin/track/:id', requireScope('track:read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const headers = await getHeaders();
-    const result = await getRowByTrackingId(id);
-    if (!result) return res.status(404).json({ error: 'Tracking ID not found' });
-    return res.json({ headers, row: result.data });
+    const result = await findInScope(req, id);
+    if (!result) return res.status(404).json({ error: 'Tracking ID not found', suggestions: await suggestTrackingIds(req, id) });
+    const headers = await getHeaders(result.branch);
+    res.set('ETag', `"${await getRecordVersion(result.data, result.branch)}"`);
+    const audience = audienceFor(req);
+    return res.json({
+      headers: visibleHeaders(headers, audience),
+      row: applyFieldPolicy(result.data, audience),
+      branch: result.branch,
+    });
   } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
     console.error('Error GET /api/admin/track/:id:', error);
     return res.status(500).json({ error: error.message || 'Server error' });
   }
 });
 
-app.delete('/api/admin/track/:id', authenticateToken, async (req, res) => {
+/* Label input for found records: the caller's view of the record plus the branch name when there are several */
+const labelsFor = (req, entries) =>
+  entries.map((entry) => ({
+    record: applyFieldPolicy(entry.data, audienceFor(req)),
+    branchName: multiBranch() ? (getBranch(entry.branch) || { name: entry.branch }).name : '',
+  }));
+
+const layoutOf = (value) => {
+  const layout = String(value || '4x6').toLowerCase();
+  if (!LABEL_LAYOUTS.includes(layout)) throw httpError(400, `layout must be one of: ${LABEL_LAYOUTS.join(', ')}`);
+  return layout;
+};
+
+// GET /api/admin/track/:id/label[?layout=4x6|a4]  printable HTML label (see labels.js)
+app.get('/api/admin/track/:id/label', requireScope('track:read'), async (req, res) => {
+  try {
+    const layout = layoutOf(req.query.layout);
+    const result = await findInScope(req, req.params.id);
+    if (!result) return res.status(404).json({ error: 'Tracking ID not found' });
+    return res.type('html').send(await renderLabels(labelsFor(req, [result]), { layout }));
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 422) return res.status(error.status).json({ error: error.message });
+    console.error('Error GET /api/admin/track/:id/label:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+/* Labels of many records in request order; 404 with notFound when any ID is missing or outside the caller's branches */
+async function sendLabels(req, res, value, layoutValue) {
+  const layout = layoutOf(layoutValue);
+  const ids = parseIdList(value);
+  if (ids.length === 0) return res.status(400).json({ error: 'At least one tracking ID required' });
+  if (ids.length > LABEL_BATCH_MAX) return res.status(400).json({ error: `At most ${LABEL_BATCH_MAX} labels per request` });
+
+  const found = await getRowsByTrackingIds(ids);
+  const notFound = ids.filter((id, i) => !found[i] || !canAccessBranch(req.user, found[i].branch));
+  if (notFound.length) return res.status(404).json({ error: 'Tracking ID not found', notFound });
+  return res.type('html').send(await renderLabels(labelsFor(req, found), { layout }));
+}
+
+// GET /api/admin/labels?ids=A,B,C[&layout=4x6|a4]
+// POST /api/admin/labels  { ids: [...], layout }  same, for long lists
+app.get('/api/admin/labels', requireScope('track:read'), async (req, res) => {
+  try {
+    return await sendLabels(req, res, req.query.ids, req.query.layout);
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 422) return res.status(error.status).json({ error: error.message });
+    console.error('Error GET /api/admin/labels:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.post('/api/admin/labels', requireScope('track:read'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    return await sendLabels(req, res, body.ids, body.layout);
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 422) return res.status(error.status).json({ error: error.message });
+    console.error('Error POST /api/admin/labels:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// PATCH /api/admin/track/:id  { field: value, other: null }
+// Only supplied fields change; null clears a field. Returns the merged record
+app.patch('/api/admin/track/:id', requireScope('track:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const changes = req.body;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return res.status(400).json({ error: 'Request body must be a JSON object' });
+    }
+    if (changes.trackingId !== undefined && normalizeTrackingId(changes.trackingId) !== normalizeTrackingId(id)) {
+      return res.status(400).json({ error: 'trackingId cannot be changed' });
+    }
+
+    const existing = await findInScope(req, id);
+    if (!existing) return res.status(404).json({ error: 'Tracking ID not found' });
+
+    const patched = await patchRow(id, changes, { ifMatch: parseIfMatch(req), actor: req.user });
+    res.set('ETag', `"${await getRecordVersion(patched, existing.branch)}"`);
+    return res.json({ data: applyFieldPolicy(patched, audienceFor(req)) });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 412) return sendPreconditionFailed(res, error);
+    if (error.status === 422) return sendInvalidStatus(res, error);
+    // unknown fields, wrong types, required fields cleared (schema.js); other 400s keep their message
+    if (error.status === 400) return res.status(400).json(error.details ? { error: 'Invalid record', details: error.details } : { error: error.message });
+    console.error('Error PATCH /api/admin/track/:id:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/track/:id/events  { date, location, message, status, updateRecord? }
+// Appends one scan event to the stored history instead of rewriting the whole cell
+app.post('/api/admin/track/:id/events', requireScope('events:append'), async (req, res) => {
   try {
     const { id } = req.params;
-    await deleteRow(id);
-    return res.json({ message: 'Tracking record deleted successfully' });
+    const { event, errors } = validateEvent(req.body);
+    if (!event) return res.status(400).json({ error: 'Invalid event', details: errors });
+
+    if (!(await findInScope(req, id))) return res.status(404).json({ error: 'Tracking ID not found' });
+
+    const updateRecord = !(req.body.updateRecord === false || req.body.updateRecord === 'false');
+    const result = await appendEvent(id, event, { updateRecord, actor: req.user });
+    if (!result) return res.status(404).json({ error: 'Tracking ID not found' });
+
+    return res.status(201).json({ ...result, data: applyFieldPolicy(result.data, audienceFor(req)) });
   } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 422) return sendInvalidStatus(res, error);
+    console.error('Error POST /api/admin/track/:id/events:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// Deleting moves the record to the trash (see trash.js); it can be restored until it is purged
+app.delete('/api/admin/track/:id', requireScope('track:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await findInScope(req, id))) return res.status(404).json({ error: 'Tracking ID not found' });
+    const entry = await moveToTrash(id, { ifMatch: parseIfMatch(req), actor: req.user });
+    if (!entry) return res.status(404).json({ error: 'Tracking ID not found' });
+
+    return res.json({ message: 'Tracking record moved to trash', trashId: entry.id });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 412) return sendPreconditionFailed(res, error);
     console.error('Error DELETE /api/admin/track/:id:', error);
     return res.status(500).json({ error: error.message || 'Server error' });
   }
 });
 
+// Trash: list, restore, or permanently delete soft-deleted records (track:delete) of the caller's branches
+app.get('/api/admin/trash', requireScope('track:delete'), async (req, res) => {
+  try {
+    const audience = audienceFor(req);
+    const entries = await listTrash({ trackingId: req.query.trackingId, branches: branchScope(req.user) });
+    return res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      entries: entries.map(e => ({ ...e, record: applyFieldPolicy(e.record, audience) })),
+    });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error GET /api/admin/trash:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.post('/api/admin/trash/:id/restore', requireScope('track:delete'), async (req, res) => {
+  try {
+    const restored = await restoreFromTrash(req.params.id, { actor: req.user, branches: branchScope(req.user) });
+    res.set('ETag', `"${await getRecordVersion(restored)}"`);
+    return res.json({ message: 'Tracking record restored', data: applyFieldPolicy(restored, audienceFor(req)) });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 404 || error.status === 409) return res.status(error.status).json({ error: error.message });
+    console.error('Error POST /api/admin/trash/:id/restore:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.delete('/api/admin/trash/:id', requireScope('track:delete'), async (req, res) => {
+  try {
+    const removed = await deleteFromTrash(req.params.id, { branches: branchScope(req.user) });
+    if (!removed) return res.status(404).json({ error: 'Trash entry not found' });
+    return res.json({ message: 'Trash entry permanently deleted' });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error DELETE /api/admin/trash/:id:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// API keys for scanners and partners (user accounts with keys:manage only). The plain key is returned once, on creation
+// Body: { name, scopes: [...], branches?: [branch id, ...] }; branch-limited callers only handle keys of their branches
+app.post('/api/admin/api-keys', requireScope('keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, branches } = req.body || {};
+    const result = await issueApiKey({ name, scopes, branches, createdBy: req.user && req.user.username }, req.user);
+    return res.status(201).json(result);
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 403) return res.status(error.status).json({ error: error.message });
+    console.error('Error POST /api/admin/api-keys:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.get('/api/admin/api-keys', requireScope('keys:manage'), async (req, res) => {
+  try {
+    return res.json({ apiKeys: await listApiKeys(req.user) });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error GET /api/admin/api-keys:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', requireScope('keys:manage'), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, req.user);
+    if (!revoked) return res.status(404).json({ error: 'API key not found' });
+    return res.json({ message: 'API key revoked', apiKey: revoked });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error DELETE /api/admin/api-keys/:id:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// Staff accounts (users:manage). Body: { username, password, role: admin|operator|viewer, branches?: [branch id, ...] }
+// An account without branches sees and writes every branch; branch-limited callers only handle accounts of their branches
+app.get('/api/admin/users', requireScope('users:manage'), async (req, res) => {
+  try {
+    return res.json({ users: await listUsers(req.user) });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error GET /api/admin/users:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.post('/api/admin/users', requireScope('users:manage'), async (req, res) => {
+  try {
+    const { username, password, role, branches } = req.body || {};
+    const user = await createUser({ username, password, role, branches }, req.user.username, req.user);
+    return res.status(201).json({ user });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Error POST /api/admin/users:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.patch('/api/admin/users/:username', requireScope('users:manage'), async (req, res) => {
+  try {
+    const { password, role, branches, disabled } = req.body || {};
+    const user = await updateUser(req.params.username, { password, role, branches, disabled }, req.user);
+    // a new password or a disabled account ends every open session of that user
+    if (password !== undefined || user.disabled) await revokeUserSessions(user.username);
+    return res.json({ user });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Error PATCH /api/admin/users/:username:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.delete('/api/admin/users/:username', requireScope('users:manage'), async (req, res) => {
+  try {
+    await deleteUser(req.params.username, req.user);
+    await revokeUserSessions(String(req.params.username).trim().toLowerCase());
+    return res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Error DELETE /api/admin/users/:username:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// Webhook subscriptions for partners (webhooks:manage, accounts without a branch limit). The secret is returned once, on creation
+// POST body: { url, events?: [...], trackingId?, secret? }
+app.post('/api/admin/webhooks', requireScope('webhooks:manage'), requireAllBranches, async (req, res) => {
+  try {
+    const { url, events, trackingId, secret } = req.body || {};
+    const result = await createWebhook({ url, events, trackingId, secret, createdBy: req.user && req.user.username });
+    return res.status(201).json(result);
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    console.error('Error POST /api/admin/webhooks:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.get('/api/admin/webhooks', requireScope('webhooks:manage'), requireAllBranches, async (req, res) => {
+  try {
+    return res.json({ webhooks: await listWebhooks() });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error GET /api/admin/webhooks:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/webhooks/deliveries?webhookId=&status=pending|delivered|failed&trackingId=&limit=
+app.get('/api/admin/webhooks/deliveries', requireScope('webhooks:manage'), requireAllBranches, async (req, res) => {
+  try {
+    return res.json({ deliveries: await listDeliveries(req.query) });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error GET /api/admin/webhooks/deliveries:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.post('/api/admin/webhooks/deliveries/:id/replay', requireScope('webhooks:manage'), requireAllBranches, async (req, res) => {
+  try {
+    const delivery = await replayDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    return res.status(202).json({ delivery });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 409) return res.status(409).json({ error: error.message });
+    console.error('Error POST /api/admin/webhooks/deliveries/:id/replay:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.patch('/api/admin/webhooks/:id', requireScope('webhooks:manage'), requireAllBranches, async (req, res) => {
+  try {
+    const webhook = await updateWebhook(req.params.id, req.body || {});
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    return res.json({ webhook });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    console.error('Error PATCH /api/admin/webhooks/:id:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', requireScope('webhooks:manage'), requireAllBranches, async (req, res) => {
+  try {
+    const removed = await deleteWebhook(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Webhook not found' });
+    return res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error DELETE /api/admin/webhooks/:id:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// Customer notifications (notifications:manage, accounts without a branch limit): sent log and opt-out list
+// GET /api/admin/notifications?trackingId=&channel=email|sms&result=sent|failed|skipped&limit=
+app.get('/api/admin/notifications', requireScope('notifications:manage'), requireAllBranches, async (req, res) => {
+  try {
+    return res.json({ notifications: await listNotifications(req.query) });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error GET /api/admin/notifications:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+app.get('/api/admin/notifications/opt-outs', requireScope('notifications:manage'), requireAllBranches, async (req, res) => {
+  try {
+    return res.json({ optOuts: await listOptOuts() });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error GET /api/admin/notifications/opt-outs:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// POST body: { channel: email|sms, contact }
+app.post('/api/admin/notifications/opt-outs', requireScope('notifications:manage'), requireAllBranches, async (req, res) => {
+  try {
+    const { channel, contact } = req.body || {};
+    return res.status(201).json({ optOut: await addOptOut({ channel, contact, source: 'admin' }) });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    console.error('Error POST /api/admin/notifications/opt-outs:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// DELETE /api/admin/notifications/opt-outs?channel=email&contact=maria@example.com
+app.delete('/api/admin/notifications/opt-outs', requireScope('notifications:manage'), requireAllBranches, async (req, res) => {
+  try {
+    const { channel, contact } = req.query;
+    if (!CHANNELS.includes(channel) || !contact) {
+      return res.status(400).json({ error: `channel (${CHANNELS.join(', ')}) and contact are required` });
+    }
+    const removed = await removeOptOut({ channel, contact });
+    if (!removed) return res.status(404).json({ error: 'Contact is not opted out' });
+    return res.json({ message: 'Opt-out removed' });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error DELETE /api/admin/notifications/opt-outs:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/audit?trackingId=&actor=&action=&branch=&from=&to=&page=&limit=  change history of tracking records
+app.get('/api/admin/audit', requireScope('audit:read'), async (req, res) => {
+  try {
+    // branch-limited accounts only see changes in their own branches
+    const limited = Array.isArray(req.user.branches) && req.user.branches.length > 0;
+    return res.json(await listAudit(req.query, { branches: limited ? branchScope(req.user) : null }));
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    console.error('Error GET /api/admin/audit:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// Cache of the sheet index (every branch, so accounts without a branch limit only): inspect, or force a reload
+// after editing the sheet by hand
+app.get('/api/admin/cache', requireScope('cache:manage'), requireAllBranches, (req, res) => {
+  return res.json(storageCacheStats());
+});
+
+app.post('/api/admin/cache/refresh', requireScope('cache:manage'), requireAllBranches, async (req, res) => {
+  try {
+    const stats = await refreshStorageCache();
+    clearReportCache();
+    return res.json({ message: 'Cache refreshed', cache: stats });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    console.error('Error POST /api/admin/cache/refresh:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// Declared record schema and how the header row of a branch tab (?branch=, default branch when omitted) compares to it
+app.get('/api/admin/schema', requireScope('schema:manage'), async (req, res) => {
+  try {
+    const branch = schemaBranch(req);
+    const headers = await getSheetHeaders(branch.id);
+    return res.json({ columns: getSchema().columns, branch: branch.id, headers, report: checkHeaders(headers) });
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 403) return res.status(error.status).json({ error: error.message });
+    console.error('Error GET /api/admin/schema:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/schema/migrate?dryRun=true&branch=  body: { add: ['customerEmail', ...] } (optional columns to add)
+// Renames alias headers in place and appends missing columns; cells never move
+app.post('/api/admin/schema/migrate', requireScope('schema:manage'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const dryRun = req.query.dryRun === 'true' || body.dryRun === true;
+    const add = Array.isArray(body.add) ? body.add : [];
+    const plan = await migrateSchema({ dryRun, add, branch: schemaBranch(req).id });
+    return res.json(plan);
+  } catch (error) {
+    if (error.status === 503) return sendUnavailable(res, error);
+    if (error.status === 400 || error.status === 403 || error.status === 409) return res.status(error.status).json({ error: error.message });
+    console.error('Error POST /api/admin/schema/migrate:', error);
+    return res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// Storage backend, cache and (Google Sheets) write queue: queued / inFlight writes, retries, last API error
+app.get('/api/admin/storage', requireScope('cache:manage'), requireAllBranches, (req, res) => {
+  return res.json({ backend: getBackendName(), cache: storageCacheStats(), writeQueue: storageQueueStats() });
+});
+
 app.get('/health', (req, res) => res.json({ status: 'ok' }));
 
 // Root to show useful info in Render logs
@@ -237,23 +1300,70 @@ app.get('/', (req, res) => {
 
 async function start() {
   try {
-    // Env var name expected: SERVICE_ACCOUNT_KEY_PATH
-    // Accept common Render secret path: /etc/secrets/service-account.json
-    const spreadsheetId = process.env.SPREADSHEET_ID;
-    const serviceAccountPath =
-      process.env.SERVICE_ACCOUNT_KEY_PATH ||
-      process.env.SERVICE_ACCOUNT_JSON || // fallback to old name if present
-      '/etc/secrets/service-account.json';
+    loadFieldPolicy();
+    loadStatusConfig();
+    loadSchema();
+    loadTrackingIdConfig();
+    loadBranchConfig();
+    // a branch prefix that is not a tracking ID prefix still routes existing IDs, but new IDs get the default prefix
+    const idPrefixes = getTrackingIdConfig().prefixes;
+    getBranches().forEach((b) => {
+      if (b.prefixes.length && !b.prefixes.some((p) => idPrefixes.includes(p))) {
+        console.warn(`Branch ${b.id}: none of its prefixes is in TRACKING_ID_PREFIX, generated IDs will not route to it`);
+      }
+    });
 
-    if (!spreadsheetId || !serviceAccountPath) {
-      throw new Error('SPREADSHEET_ID and SERVICE_ACCOUNT_KEY_PATH must be set in env');
+    if (JWT_SECRET === DEFAULT_JWT_SECRET) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET is not set: refusing to start in production with the default secret');
+      }
+      console.warn('WARNING: JWT_SECRET is not set, using the insecure default (development only)');
     }
 
-    await initSheets(serviceAccountPath, spreadsheetId, process.env.SHEET_NAME || '');
+    // STORAGE_BACKEND=file runs against a local JSON file (LOCAL_STORE_PATH), no Google account needed
+    const backend = (process.env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+    const cacheTtlMs = process.env.CACHE_TTL_MS !== undefined ? Number(process.env.CACHE_TTL_MS) : undefined;
+
+    if (backend === 'sheets') {
+      // Env var name expected: SERVICE_ACCOUNT_KEY_PATH
+      // Accept common Render secret path: /etc/secrets/service-account.json
+      const spreadsheetId = process.env.SPREADSHEET_ID;
+      const serviceAccountPath =
+        process.env.SERVICE_ACCOUNT_KEY_PATH ||
+        process.env.SERVICE_ACCOUNT_JSON || // fallback to old name if present
+        '/etc/secrets/service-account.json';
+
+      if (!spreadsheetId || !serviceAccountPath) {
+        throw new Error('SPREADSHEET_ID and SERVICE_ACCOUNT_KEY_PATH must be set in env');
+      }
+
+      await initStorage('sheets', {
+        serviceAccountPath,
+        spreadsheetId,
+        sheetName: process.env.SHEET_NAME || '',
+        cacheTtlMs,
+      });
+    } else {
+      await initStorage(backend, { filePath: process.env.LOCAL_STORE_PATH, cacheTtlMs });
+    }
+
+    startAuditLog();
+    startTrashPurge();
+    await startWebhooks();
+    startStreams();
+    // unsubscribe links point at this API (PUBLIC_API_URL) and are signed with NOTIFY_SECRET, or else with a
+    // key derived from JWT_SECRET, so a link signature can never double as anything signed for sessions
+    startNotifications({
+      secret: process.env.NOTIFY_SECRET || crypto.createHmac('sha256', JWT_SECRET).update('tks-notify-unsubscribe/v1').digest('hex'),
+      baseUrl: process.env.PUBLIC_API_URL || `http://localhost:${PORT}`,
+    });
+
+    // first run: turn the legacy ADMIN_USERNAME/ADMIN_PASSWORD pair into the initial admin account
+    await ensureBootstrapAdmin(ADMIN_USERNAME, ADMIN_PASSWORD);
 
     app.listen(PORT, () => {
       console.log(`Backend server running on port ${PORT}`);
-      console.log('Google Sheets integration ready');
+      console.log(`Storage backend ready: ${getBackendName()}`);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
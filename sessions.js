@@ -0,0 +1,162 @@
+// sessions.js
+// Login sessions backing short-lived access JWTs: rotating refresh tokens (stored hashed in the
+// 'sessions' collection) and a denylist of revoked access tokens ('tokenDenylist' collection).
+// A refresh token looks like <sessionId>.<secret>; presenting an already-rotated token revokes the session.
+// Both collections are held in memory and reloaded every SESSIONS_TTL_MS. Changes and reloads run one at a time
+// (each rewrites a whole collection), so concurrent logins cannot drop each other's session.
+// Exports: createSession, rotateRefreshToken, revokeSession, revokeUserSessions, denyAccessToken, isAccessTokenRevoked
+
+import crypto from 'crypto';
+import { listCollection, replaceCollection } from './storage.js';
+
+const SESSIONS = 'sessions';
+const DENYLIST = 'tokenDenylist';
+const SESSIONS_TTL_MS = 60000;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+let sessions = [];
+let denylist = new Map(); // jti -> exp (epoch seconds)
+let loadedAt = 0;
+let queue = Promise.resolve();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* Run fn after every earlier session change or reload has finished */
+function serialized(fn) {
+  const result = queue.then(fn, fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function isExpired(session, now = Date.now()) {
+  return Date.parse(session.expiresAt) <= now;
+}
+
+async function load(force = false) {
+  if (!force && loadedAt && Date.now() - loadedAt < SESSIONS_TTL_MS) return;
+  sessions = await listCollection(SESSIONS);
+  denylist = new Map((await listCollection(DENYLIST)).map((d) => [d.jti, Number(d.exp)]));
+  loadedAt = Date.now();
+}
+
+/* Persist sessions, dropping ones that can no longer be used */
+async function saveSessions() {
+  const now = Date.now();
+  sessions = sessions.filter((s) => !isExpired(s, now) && !s.revokedAt);
+  await replaceCollection(SESSIONS, sessions);
+}
+
+async function saveDenylist() {
+  const nowSec = Math.floor(Date.now() / 1000);
+  for (const [jti, exp] of denylist) if (exp <= nowSec) denylist.delete(jti);
+  await replaceCollection(DENYLIST, [...denylist].map(([jti, exp]) => ({ jti, exp })));
+}
+
+/* Start a session for a user. Returns { sessionId, refreshToken } */
+export function createSession(username) {
+  return serialized(async () => {
+    await load(true);
+    const sessionId = crypto.randomBytes(9).toString('base64url');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    sessions.push({
+      id: sessionId,
+      username,
+      refreshHash: hashSecret(secret),
+      previousHash: '',
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString(),
+    });
+    await saveSessions();
+    return { sessionId, refreshToken: `${sessionId}.${secret}` };
+  });
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation).
+ * Returns { sessionId, username, refreshToken }; throws a 401 error when the token is unknown,
+ * expired or revoked. Reusing a token that was already rotated revokes the whole session.
+ */
+export function rotateRefreshToken(refreshToken) {
+  return serialized(async () => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) throw httpError(401, 'Invalid refresh token');
+
+    await load(true);
+    const session = sessions.find((s) => s.id === sessionId);
+    if (!session || session.revokedAt || isExpired(session)) throw httpError(401, 'Refresh token expired or revoked');
+
+    const presented = hashSecret(secret);
+    if (presented !== session.refreshHash) {
+      if (presented === session.previousHash) {
+        console.warn('Refresh token reuse detected, revoking session for', session.username);
+        session.revokedAt = new Date().toISOString();
+        await saveSessions();
+      }
+      throw httpError(401, 'Invalid refresh token');
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    session.previousHash = session.refreshHash;
+    session.refreshHash = hashSecret(nextSecret);
+    session.lastUsedAt = new Date().toISOString();
+    await saveSessions();
+    return { sessionId, username: session.username, refreshToken: `${sessionId}.${nextSecret}` };
+  });
+}
+
+export function revokeSession(sessionId) {
+  return serialized(async () => {
+    await load(true);
+    const session = sessions.find((s) => s.id === sessionId);
+    if (!session) return false;
+    session.revokedAt = new Date().toISOString();
+    await saveSessions();
+    return true;
+  });
+}
+
+/* Log a user out everywhere (password change, account disabled, "log out all devices") */
+export function revokeUserSessions(username) {
+  return serialized(async () => {
+    await load(true);
+    const revokedAt = new Date().toISOString();
+    let count = 0;
+    sessions.forEach((s) => {
+      if (s.username === username && !s.revokedAt) {
+        s.revokedAt = revokedAt;
+        count++;
+      }
+    });
+    if (count) await saveSessions();
+    return count;
+  });
+}
+
+/* Deny one access token until it would have expired anyway */
+export function denyAccessToken(jti, exp) {
+  return serialized(async () => {
+    if (!jti) return;
+    await load(true);
+    denylist.set(jti, Number(exp) || Math.floor(Date.now() / 1000) + 86400);
+    await saveDenylist();
+  });
+}
+
+/* Checked on every authenticated request: denied token, or its session is gone/revoked */
+export async function isAccessTokenRevoked({ jti, sid }) {
+  if (!jti || !sid) return true;
+  if (!loadedAt || Date.now() - loadedAt >= SESSIONS_TTL_MS) await serialized(() => load());
+  if (denylist.has(jti)) return true;
+  const session = sessions.find((s) => s.id === sid);
+  return !session || Boolean(session.revokedAt) || isExpired(session);
+}
@@ -2,18 +2,38 @@
 // ESM module for Google Sheets access using service account JSON file
 // Defensive initSheets: accepts SERVICE_ACCOUNT_KEY_PATH or SERVICE_ACCOUNT_JSON (base64/raw),
 // normalizes private_key newlines, writes a normalized JSON file and uses it for GoogleAuth.
-// Exports: initSheets, getHeaders, getAllRows, getRowByTrackingId, createRow, updateRow, deleteRow
+// API calls are retried on quota (429) and transient errors with exponential backoff; record writes go through a
+// write queue that coalesces concurrent writes into one values.batchUpdate / values.append, and row deletes
+// run alone so no write ever lands on a row number that shifted (see the write queue section).
+// Records live in one tab per branch (see branches.js); reads cover every branch tab in one values.batchGet.
+// Exports: initSheets, getHeaders, getAllEntries, getAllRows, getRowByTrackingId, createRow, updateRow, patchRow, deleteRow,
+//          upsertRows, writeHeaders, listCollection, appendToCollection, replaceCollection, writeQueueStats
+// (the storage backend interface, see storage.js)
 
 import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { normalizeTrackingId, rowToRecord, recordToPayload, mergeRecord, checkVersion } from './records.js';
+import { headerIndex, checkHeaders, describeHeaderReport, emptyHeaderError } from './schema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// rows per values.batchUpdate / values.append request in bulk writes
+const WRITE_BATCH_SIZE = 500;
+
+const envNumber = (name, fallback) => (Number(process.env[name]) > 0 ? Number(process.env[name]) : fallback);
+const MAX_RETRIES = envNumber('SHEETS_MAX_RETRIES', 5);
+const RETRY_BASE_MS = envNumber('SHEETS_RETRY_BASE_MS', 500);
+const RETRY_MAX_MS = envNumber('SHEETS_RETRY_MAX_MS', 30000);
+// how long the queue waits for more writes before sending a batch
+const BATCH_WINDOW_MS = envNumber('SHEETS_BATCH_WINDOW_MS', 20);
+
 let sheetsClient = null;
 let spreadsheetId = null;
-let sheetName = null;
+let requestedTabs = []; // [{ id, tab }] branches as configured (see branches.js)
+let tabs = new Map(); // branch id -> resolved tab title
+const headersChecked = new Set(); // tabs whose header row was checked against the schema
 
 /* Helper: column number to letter (1 -> A, 27 -> AA) */
 function colLetter(n) {
@@ -26,72 +46,6 @@ function colLetter(n) {
   return s;
 }
 
-/* Robustly parse 'history' cell */
-function parseHistory(historyStr) {
-  try {
-    if (historyStr === undefined || historyStr === null || historyStr === '') return [];
-    if (Array.isArray(historyStr)) return historyStr;
-    if (typeof historyStr === 'object') return Array.isArray(historyStr) ? historyStr : [];
-
-    if (typeof historyStr === 'string') {
-      const trimmed = historyStr.trim();
-
-      // Looks like JSON array/object
-      if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
-        try {
-          const parsed = JSON.parse(trimmed);
-          return Array.isArray(parsed) ? parsed : [];
-        } catch (e) {
-          try {
-            // sometimes double-encoded: "\"[...]""
-            const unescaped = trimmed.replace(/^"(.+)"$/, '$1').replace(/\\"/g, '"');
-            const parsed2 = JSON.parse(unescaped);
-            return Array.isArray(parsed2) ? parsed2 : [];
-          } catch (e2) {
-            return [];
-          }
-        }
-      }
-
-      // plain text -> wrap as single history message
-      return [{ date: '', location: '', message: trimmed }];
-    }
-
-    return [];
-  } catch {
-    return [];
-  }
-}
-
-/* Normalize history for writing to sheet (always a JSON string) */
-function normalizeHistoryForStorage(history) {
-  try {
-    if (history === undefined || history === null) return '[]';
-    if (Array.isArray(history)) return JSON.stringify(history);
-    if (typeof history === 'string') {
-      const trimmed = history.trim();
-      if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
-        try {
-          const parsed = JSON.parse(trimmed);
-          return JSON.stringify(Array.isArray(parsed) ? parsed : []);
-        } catch {
-          try {
-            const unescaped = trimmed.replace(/^"(.+)"$/, '$1').replace(/\\"/g, '"');
-            const parsed2 = JSON.parse(unescaped);
-            return JSON.stringify(Array.isArray(parsed2) ? parsed2 : []);
-          } catch {
-            return JSON.stringify([{ date: '', location: '', message: trimmed }]);
-          }
-        }
-      }
-      return JSON.stringify([{ date: '', location: '', message: trimmed }]);
-    }
-    return '[]';
-  } catch {
-    return '[]';
-  }
-}
-
 /* Quote sheet/tab name when it contains special characters */
 function quoteSheetNameIfNeeded(name) {
   if (!name) return name;
@@ -113,8 +67,193 @@ async function ensureInitialized() {
   if (!sheetsClient) throw new Error('Sheets client not initialized. Call initSheets() first.');
 }
 
+/* ---------- Write queue: retries, coalescing and row-index serialization ---------- */
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+
+const stats = { calls: 0, retries: 0, failedCalls: 0, batches: 0, coalescedWrites: 0, lastError: null, lastErrorAt: null };
+let pendingValues = []; // { range, values, resolve, reject } -> one values.batchUpdate
+let pendingAppends = []; // { tab, rows, resolve, reject } -> one values.append per tab
+let flushTimer = null;
+let flushChain = Promise.resolve();
+let inFlight = 0;
+
+// row-index lock: writes that located their row share it, deletes (which shift rows) take it alone
+let sharedHolders = 0;
+let idleWaiters = [];
+let exclusiveTail = Promise.resolve(); // chain of exclusive operations, never rejects
+let exclusivePending = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function errorStatus(err) {
+  if (!err) return 0;
+  if (err.response && err.response.status) return Number(err.response.status);
+  return typeof err.code === 'number' ? err.code : Number(err.status) || 0;
+}
+
+/* Exponential backoff with jitter (half fixed, half random); a Retry-After header wins */
+function retryDelay(attempt, err) {
+  const retryAfter = Number(err && err.response && err.response.headers && err.response.headers['retry-after']);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+  const cap = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
 /**
- * initSheets(serviceAccountPathArg, sheetId, sheetNameOverride='')
+ * call(label, fn, { idempotent })
+ *
+ * Runs one API request, retrying 429, 5xx and connection errors up to SHEETS_MAX_RETRIES times.
+ * Non-idempotent requests (appends) are only retried on 429, which Google rejects before applying,
+ * so a timeout after a successful append can never duplicate rows. Gives up with a 503 error.
+ */
+async function call(label, fn, { idempotent = true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    stats.calls++;
+    try {
+      return await fn();
+    } catch (err) {
+      const status = errorStatus(err);
+      const retryable = status === 429 || (idempotent && (RETRYABLE_STATUS.has(status) || RETRYABLE_CODES.has(err.code)));
+      if (!retryable) throw err;
+
+      stats.lastError = `${label}: ${status || err.code} ${err.message || ''}`.trim();
+      stats.lastErrorAt = new Date().toISOString();
+      if (attempt >= MAX_RETRIES) {
+        stats.failedCalls++;
+        const busy = new Error(`Google Sheets is unavailable or over quota (${label} failed ${attempt + 1} times), please retry shortly`);
+        busy.status = 503;
+        busy.cause = err;
+        throw busy;
+      }
+      stats.retries++;
+      const delay = retryDelay(attempt, err);
+      console.warn(`Sheets ${label} failed (${status || err.code}), retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/* Run fn while holding the row-index lock shared (locate a row, then write it) */
+async function withRowIndexes(fn) {
+  while (exclusivePending) await exclusiveTail;
+  sharedHolders++;
+  try {
+    return await fn();
+  } finally {
+    sharedHolders--;
+    if (sharedHolders === 0) idleWaiters.splice(0).forEach((resolve) => resolve());
+  }
+}
+
+/* Run fn alone: after every shared holder finished (and its writes were sent), before any new one starts */
+function exclusively(fn) {
+  exclusivePending++;
+  const run = exclusiveTail.then(async () => {
+    try {
+      if (sharedHolders > 0) await new Promise((resolve) => idleWaiters.push(resolve));
+      return await fn();
+    } finally {
+      exclusivePending--;
+    }
+  });
+  exclusiveTail = run.catch(() => {});
+  return run;
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushChain = flushChain.then(flush).catch((e) => console.error('Sheets write queue flush failed:', e.message || e));
+  }, BATCH_WINDOW_MS);
+}
+
+/* Queue a values write of one range; resolves once the batch containing it was written */
+function enqueueValues(range, values) {
+  return new Promise((resolve, reject) => {
+    pendingValues.push({ range, values, resolve, reject });
+    scheduleFlush();
+  });
+}
+
+/* Queue rows to append to a tab; resolves once the batch containing them was written */
+function enqueueAppend(tab, rows) {
+  return new Promise((resolve, reject) => {
+    pendingAppends.push({ tab, rows, resolve, reject });
+    scheduleFlush();
+  });
+}
+
+async function settle(items, send) {
+  try {
+    await send();
+    items.forEach((item) => item.resolve());
+  } catch (err) {
+    items.forEach((item) => item.reject(err));
+  }
+}
+
+/* Send everything queued so far: one values.batchUpdate (chunked) and one append per tab */
+async function flush() {
+  const values = pendingValues;
+  const appends = pendingAppends;
+  pendingValues = [];
+  pendingAppends = [];
+  if (!values.length && !appends.length) return;
+
+  inFlight = values.length + appends.length;
+  stats.batches++;
+  stats.coalescedWrites += inFlight;
+  try {
+    for (let i = 0; i < values.length; i += WRITE_BATCH_SIZE) {
+      const chunk = values.slice(i, i + WRITE_BATCH_SIZE);
+      await settle(chunk, () =>
+        call('values.batchUpdate', () =>
+          sheetsClient.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: { valueInputOption: 'RAW', data: chunk.map((w) => ({ range: w.range, values: w.values })) },
+          })
+        )
+      );
+    }
+
+    const byTab = new Map();
+    appends.forEach((a) => byTab.set(a.tab, [...(byTab.get(a.tab) || []), a]));
+    for (const [tab, items] of byTab) {
+      await settle(items, () =>
+        call(
+          'values.append',
+          () =>
+            sheetsClient.spreadsheets.values.append({
+              spreadsheetId,
+              range: quoteSheetNameIfNeeded(tab),
+              valueInputOption: 'RAW',
+              insertDataOption: 'INSERT_ROWS',
+              requestBody: { values: items.flatMap((a) => a.rows) },
+            }),
+          { idempotent: false }
+        )
+      );
+    }
+  } finally {
+    inFlight = 0;
+  }
+}
+
+/* Queue depth and retry counters (GET /api/admin/storage) */
+export function writeQueueStats() {
+  return {
+    queued: pendingValues.length + pendingAppends.length,
+    inFlight,
+    rowLock: { shared: sharedHolders, exclusive: exclusivePending },
+    ...stats,
+  };
+}
+
+/**
+ * initSheets(serviceAccountPathArg, sheetId, sheetNameOverride='', branchList=null)
  *
  * Behavior:
  *  - If environment variable SERVICE_ACCOUNT_JSON or SERVICE_ACCOUNT_KEY_JSON exists,
@@ -123,8 +262,10 @@ async function ensureInitialized() {
  *  - It normalizes private_key by replacing literal "\\n" sequences with real newlines.
  *  - Writes a normalized copy and uses it for GoogleAuth.
  *  - Logs diagnostic info to help identify misconfigured secrets on cloud platforms.
+ *  - branchList: [{ id, tab }] one tab per branch (see branches.js); a branch without a tab uses sheetNameOverride
+ *    or the first tab. Without a list there is one branch, 'main'.
  */
-export async function initSheets(serviceAccountPathArg, sheetId, sheetNameOverride = '') {
+export async function initSheets(serviceAccountPathArg, sheetId, sheetNameOverride = '', branchList = null) {
   const envJson = process.env.SERVICE_ACCOUNT_JSON || process.env.SERVICE_ACCOUNT_KEY_JSON || '';
   let keyFilePathCandidate = serviceAccountPathArg || process.env.SERVICE_ACCOUNT_KEY_PATH || './service-account.json';
 
@@ -213,224 +354,576 @@ export async function initSheets(serviceAccountPathArg, sheetId, sheetNameOverri
   const client = await auth.getClient();
   sheetsClient = google.sheets({ version: 'v4', auth: client });
   spreadsheetId = sheetId;
-  sheetName = sheetNameOverride && String(sheetNameOverride).trim().length ? String(sheetNameOverride).trim() : null;
-
-  // Resolve sheet tab and return
-  await resolveSheetTab();
-  console.log('Sheets initialized. Using sheet tab:', sheetName);
+  // a branch without its own tab (the single default branch) uses SHEET_NAME, or the first tab
+  const override = sheetNameOverride && String(sheetNameOverride).trim().length ? String(sheetNameOverride).trim() : '';
+  requestedTabs = (branchList && branchList.length ? branchList : [{ id: 'main', tab: '' }]).map((b) => ({
+    id: b.id,
+    tab: b.tab || override,
+  }));
+
+  // Resolve the sheet tabs and return
+  await resolveSheetTabs();
+  console.log('Sheets initialized. Using sheet tabs:', [...tabs].map(([id, tab]) => `${id} -> ${tab}`).join(', '));
   return true;
 }
 
 /* List sheet tab titles */
 async function listSheetTitles() {
   await ensureInitialized();
-  const meta = await sheetsClient.spreadsheets.get({ spreadsheetId });
+  const meta = await call('spreadsheets.get', () => sheetsClient.spreadsheets.get({ spreadsheetId }));
   return (meta.data.sheets || []).map((s) => s.properties && s.properties.title).filter(Boolean);
 }
 
-async function resolveSheetTab() {
+/* Pick the tab of every branch, then check each header row against the schema (see schema.js) */
+async function resolveSheetTabs() {
   await ensureInitialized();
+  const titles = await listSheetTitles();
+  if (!titles || titles.length === 0) throw new Error('No sheet tabs found in spreadsheet');
 
-  if (sheetName) {
+  const resolved = new Map();
+  requestedTabs.forEach(({ id, tab }) => {
+    // one branch keeps the old lenient behaviour (fall back to the first tab); several must each name a real tab
+    resolved.set(id, findSheetTab(tab, titles, requestedTabs.length === 1));
+  });
+  tabs = resolved;
+
+  for (const [id, tab] of tabs) {
+    if (headersChecked.has(tab)) continue;
+    let headers = [];
     try {
-      await readHeader(sheetName);
-      return;
+      headers = await readHeader(tab);
     } catch (err) {
-      console.warn('Requested sheet tab failed to read header:', err.message || err);
+      // an empty tab gets its header row from the schema migration
+      console.warn(`Sheet tab "${tab}" has no header row:`, err.message || err);
+    }
+    const report = checkHeaders(headers);
+    if (headers.length && report.missing.includes('trackingId')) {
+      throw new Error(`Sheet tab "${tab}" has no trackingId column (or alias) in its header row`);
     }
+    const problems = describeHeaderReport(report);
+    problems.forEach((line) => console.warn(`Sheet tab "${tab}": ${line}`));
+    if (problems.length) console.warn(`Fix the header row with POST /api/admin/schema/migrate?branch=${id}`);
+    headersChecked.add(tab);
   }
+}
 
-  const titles = await listSheetTitles();
-  if (!titles || titles.length === 0) throw new Error('No sheet tabs found in spreadsheet');
-
-  if (sheetName) {
-    const lower = sheetName.toLowerCase();
+/* Exact title first, then case-insensitive; '_' tabs are collections and never picked as a fallback */
+function findSheetTab(name, titles, lenient) {
+  if (name) {
+    if (titles.includes(name)) return name;
+    const lower = name.toLowerCase();
     const match = titles.find((t) => t.toLowerCase() === lower);
-    if (match) {
-      sheetName = match;
-      return;
-    }
+    if (match) return match;
+    if (!lenient) throw new Error(`Sheet tab "${name}" not found. Tabs: ${titles.join(', ')}`);
+    console.warn(`Requested sheet tab "${name}" not found, using the first tab`);
   }
+  const first = titles.find((t) => !t.startsWith('_'));
+  if (!first) throw new Error('No sheet tab for tracking records found in spreadsheet');
+  return first;
+}
 
-  sheetName = titles[0];
+/* Tab title of a branch (the first branch when none is given) */
+async function tabFor(branch) {
+  if (!tabs.size) await resolveSheetTabs();
+  const id = branch || requestedTabs[0].id;
+  const tab = tabs.get(id);
+  if (!tab) throw new Error(`Unknown branch "${id}"`);
+  return tab;
 }
 
-/* Read header row (row 1) */
+/* Row 1 of a tab. A blank row 1 throws emptyHeaderError (see schema.js); read errors keep their status (503, 404, ...) */
 async function readHeader(name) {
   await ensureInitialized();
   const range = safeRangeForRows(name, 1, 1);
+  let vals = null;
   try {
-    const resp = await sheetsClient.spreadsheets.values.get({ spreadsheetId, range });
-    const vals = resp.data.values || [];
-    if (!vals || vals.length === 0) throw new Error('Header row is empty');
-    return vals[0].map((v) => (typeof v === 'string' ? v.trim() : v));
+    const resp = await call('values.get', () => sheetsClient.spreadsheets.values.get({ spreadsheetId, range }));
+    vals = resp.data.values || [];
   } catch (err) {
-    try {
-      const fallbackRange = quoteSheetNameIfNeeded(name);
-      const fallback = await sheetsClient.spreadsheets.values.get({ spreadsheetId, range: fallbackRange });
-      const all = fallback.data.values || [];
-      if (!all || all.length === 0) throw new Error('Sheet exists but contains no rows');
-      return all[0].map((v) => (typeof v === 'string' ? v.trim() : v));
-    } catch (e) {
-      const msg = e && e.message ? e.message : String(e);
-      throw new Error(msg);
-    }
+    if (errorStatus(err) === 503) throw err;
+    // the one-row range was rejected: the whole tab is read below instead
   }
+  const isBlank = (row) => !row || !row.some((v) => String(v === undefined || v === null ? '' : v).trim());
+  if (!vals || isBlank(vals[0])) {
+    // also tells an empty tab from one whose data rows lost their header
+    const all = await call('values.get', () =>
+      sheetsClient.spreadsheets.values.get({ spreadsheetId, range: quoteSheetNameIfNeeded(name) })
+    );
+    vals = all.data.values || [];
+    if (isBlank(vals[0])) throw emptyHeaderError(vals.slice(1));
+  }
+  return vals[0].map((v) => (typeof v === 'string' ? v.trim() : v));
 }
 
-export async function getHeaders() {
+/* Header row of a branch tab. opts.branch: branch id (default: the first branch) */
+export async function getHeaders(opts = {}) {
   await ensureInitialized();
-  if (!sheetName) await resolveSheetTab();
   try {
-    return await readHeader(sheetName);
+    return await readHeader(await tabFor(opts.branch));
   } catch (err) {
-    await resolveSheetTab();
-    return await readHeader(sheetName);
+    if (err.code === 'EMPTY_HEADER' || errorStatus(err) === 503) throw err;
+    // the tab may have been renamed: resolve the tabs again
+    await resolveSheetTabs();
+    return await readHeader(await tabFor(opts.branch));
   }
 }
 
-/* Read all rows and map to objects */
-export async function getAllRows() {
-  await ensureInitialized();
-  if (!sheetName) await resolveSheetTab();
-
-  const range = quoteSheetNameIfNeeded(sheetName);
-  const resp = await sheetsClient.spreadsheets.values.get({ spreadsheetId, range });
-  const vals = resp.data.values || [];
-  if (vals.length === 0) return { headers: [], rows: [] };
+/* Header row and data rows of one tab from a values response */
+function splitValues(vals) {
+  if (!vals || vals.length === 0) return { headers: [], rows: [] };
+  return { headers: vals[0].map((h) => (typeof h === 'string' ? h.trim() : h)), rows: vals.slice(1) };
+}
 
-  const headers = vals[0].map((h) => (typeof h === 'string' ? h.trim() : h));
-  const dataRows = vals.slice(1).map((row) => {
-    const obj = {};
-    headers.forEach((h, idx) => {
-      const val = row[idx] === undefined ? '' : row[idx];
-      obj[h] = h === 'history' ? parseHistory(val) : val;
-    });
-    return obj;
-  });
+/* Every branch tab in one values.batchGet: [{ branch, tab, headers, rows }] in branch order (rows are raw cells) */
+async function readAllTabs() {
+  if (!tabs.size) await resolveSheetTabs();
+  const list = [...tabs];
+  const resp = await call('values.batchGet', () =>
+    sheetsClient.spreadsheets.values.batchGet({ spreadsheetId, ranges: list.map(([, tab]) => quoteSheetNameIfNeeded(tab)) })
+  );
+  const ranges = resp.data.valueRanges || [];
+  return list.map(([branch, tab], i) => ({ branch, tab, ...splitValues((ranges[i] || {}).values) }));
+}
 
-  return { headers, rows: dataRows };
+async function readTab(tab) {
+  const resp = await call('values.get', () => sheetsClient.spreadsheets.values.get({ spreadsheetId, range: quoteSheetNameIfNeeded(tab) }));
+  return splitValues(resp.data.values);
 }
 
-/* Find row by trackingId (case-insensitive match). Returns { rowIndex, data } */
-export async function getRowByTrackingId(trackingId) {
+/**
+ * Read all rows of every branch tab with their sheet row numbers.
+ * Returns { headers, branchHeaders: { branch: headers }, rows: [{ rowIndex, branch, data }] } where headers are
+ * those of the first branch.
+ */
+export async function getAllEntries() {
   await ensureInitialized();
-  if (!sheetName) await resolveSheetTab();
-  if (!trackingId) return null;
+  const all = await readAllTabs();
+  const branchHeaders = {};
+  const rows = [];
+  all.forEach(({ branch, headers, rows: cells }) => {
+    branchHeaders[branch] = headers;
+    cells.forEach((row, i) => rows.push({ rowIndex: i + 2, branch, data: rowToRecord(headers, row) }));
+  });
+  return { headers: all.length ? all[0].headers : [], branchHeaders, rows };
+}
 
-  const range = quoteSheetNameIfNeeded(sheetName);
-  const resp = await sheetsClient.spreadsheets.values.get({ spreadsheetId, range });
-  const vals = resp.data.values || [];
-  if (vals.length < 2) return null;
+/* Read all rows and map to objects */
+export async function getAllRows() {
+  const { headers, rows } = await getAllEntries();
+  return { headers, rows: rows.map((r) => r.data) };
+}
 
-  const headers = vals[0].map((h) => (typeof h === 'string' ? h.trim() : h));
-  const trackingIdx = headers.findIndex((h) => String(h).trim() === 'trackingId');
-  if (trackingIdx === -1) throw new Error('trackingId column not found in headers');
+/* Check a single known row number (one-row read). Returns { rowIndex, branch, data } or null if it moved */
+async function readRowIfMatches(branch, trackingId, rowIndex) {
+  const tab = await tabFor(branch);
+  const headers = await readHeader(tab);
+  const trackingIdx = headerIndex(headers, 'trackingId');
+  if (trackingIdx === -1) return null;
+  const range = safeRangeForRows(tab, rowIndex, rowIndex);
+  const resp = await call('values.get', () => sheetsClient.spreadsheets.values.get({ spreadsheetId, range }));
+  const row = (resp.data.values || [])[0] || [];
+  if (normalizeTrackingId(row[trackingIdx]) !== normalizeTrackingId(trackingId)) return null;
+  return { rowIndex, branch, data: rowToRecord(headers, row) };
+}
 
-  const rows = vals.slice(1);
-  const needle = String(trackingId).trim().toUpperCase();
+/* First row of a tab whose trackingId matches (case-insensitive): { rowIndex, data } or null */
+function findInTab({ headers, rows }, trackingId) {
+  if (rows.length === 0) return null;
+  const trackingIdx = headerIndex(headers, 'trackingId');
+  if (trackingIdx === -1) throw new Error('trackingId column not found in headers');
 
+  const needle = normalizeTrackingId(trackingId);
   for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const rawCell = row[trackingIdx] === undefined ? '' : String(row[trackingIdx]);
-    const cell = rawCell.replace(/\u00A0/g, ' ').trim().toUpperCase();
-
-    if (cell === needle) {
-      const obj = {};
-      headers.forEach((h, idx) => {
-        const val = row[idx] === undefined ? '' : row[idx];
-        obj[h] = h === 'history' ? parseHistory(val) : val;
-      });
-      return { rowIndex: i + 2, data: obj };
+    if (normalizeTrackingId(rows[i][trackingIdx]) === needle) {
+      return { rowIndex: i + 2, data: rowToRecord(headers, rows[i]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find row by trackingId (case-insensitive match). Returns { rowIndex, branch, data }
+ * opts.branch limits the search to that branch's tab (otherwise every tab is searched, in branch order);
+ * opts.rowIndex is an optional hint (e.g. from the cache) for that branch: the row is checked first,
+ * falling back to a full scan when the row has moved.
+ */
+export async function getRowByTrackingId(trackingId, opts = {}) {
+  await ensureInitialized();
+  if (!trackingId) return null;
+
+  if (opts.branch) {
+    if (opts.rowIndex && opts.rowIndex >= 2) {
+      const hinted = await readRowIfMatches(opts.branch, trackingId, opts.rowIndex);
+      if (hinted) return hinted;
     }
+    const found = findInTab(await readTab(await tabFor(opts.branch)), trackingId);
+    return found ? { ...found, branch: opts.branch } : null;
+  }
+
+  for (const tab of await readAllTabs()) {
+    const found = findInTab(tab, trackingId);
+    if (found) return { ...found, branch: tab.branch };
   }
   return null;
 }
 
-/* Append a new row using header order */
-export async function createRow(rowData) {
+/* Append a new row to a branch tab (opts.branch) using header order */
+export async function createRow(rowData, opts = {}) {
   await ensureInitialized();
-  if (!sheetName) await resolveSheetTab();
-  const headers = await getHeaders();
+  const tab = await tabFor(opts.branch);
+  const headers = await readHeader(tab);
 
-  const payload = headers.map((h) => {
-    if (h === 'history') return normalizeHistoryForStorage(rowData.history || []);
-    return rowData[h] !== undefined && rowData[h] !== null ? String(rowData[h]) : '';
+  const payload = recordToPayload(headers, rowData);
+  await enqueueAppend(tab, [payload]);
+  return rowToRecord(headers, payload);
+}
+
+/* Write a full record into a known row number of a tab using header order */
+async function writeRow(tab, rowIndex, headers, rowData) {
+  const payload = recordToPayload(headers, rowData);
+  const lastCol = colLetter(headers.length);
+  const quotedName = quoteSheetNameIfNeeded(tab);
+  const range = `${quotedName}!A${rowIndex}:${lastCol}${rowIndex}`;
+  await enqueueValues(range, [payload]);
+  return rowToRecord(headers, payload);
+}
+
+/**
+ * Update an existing row by trackingId.
+ * opts.branch / opts.rowIndex are optional hints (e.g. from the cache); opts.ifMatch is checked against
+ * the row as re-read right before the write (see checkVersion in records.js). opts.prepare(found), when given,
+ * returns the data to write from that re-read row (patchRow: the changes), so checks run against the stored record.
+ */
+export async function updateRow(trackingId, rowData, opts = {}) {
+  await ensureInitialized();
+  return withRowIndexes(async () => {
+    const found = await getRowByTrackingId(trackingId, opts);
+    if (!found) throw new Error('Tracking ID not found');
+
+    const tab = await tabFor(found.branch);
+    const headers = await readHeader(tab);
+    checkVersion(headers, found.data, opts.ifMatch);
+    return writeRow(tab, found.rowIndex, headers, opts.prepare ? await opts.prepare(found) : rowData);
   });
+}
 
-  await sheetsClient.spreadsheets.values.append({
-    spreadsheetId,
-    range: quoteSheetNameIfNeeded(sheetName),
-    valueInputOption: 'RAW',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: { values: [payload] },
+/* Merge only the supplied fields into an existing row (null clears a field). Returns the merged record */
+export async function patchRow(trackingId, changes, opts = {}) {
+  await ensureInitialized();
+  return withRowIndexes(async () => {
+    const found = await getRowByTrackingId(trackingId, opts);
+    if (!found) throw new Error('Tracking ID not found');
+
+    const tab = await tabFor(found.branch);
+    const headers = await readHeader(tab);
+    checkVersion(headers, found.data, opts.ifMatch);
+    const merged = mergeRecord(found.data, opts.prepare ? await opts.prepare(found) : changes);
+    return writeRow(tab, found.rowIndex, headers, merged);
   });
+}
 
-  const created = {};
-  headers.forEach((h, idx) => {
-    created[h] = h === 'history' ? parseHistory(payload[idx]) : payload[idx];
+/* Delete a row by trackingId and return the removed record. opts as for updateRow. Runs alone (see exclusively) */
+export async function deleteRow(trackingId, opts = {}) {
+  await ensureInitialized();
+  const meta = await call('spreadsheets.get', () => sheetsClient.spreadsheets.get({ spreadsheetId }));
+
+  return exclusively(async () => {
+    // locate (and version-check) the row inside the exclusive section: indices shift whenever a row above is deleted
+    const found = await getRowByTrackingId(trackingId, opts);
+    if (!found) throw new Error('Tracking ID not found');
+    const tab = await tabFor(found.branch);
+    checkVersion(await readHeader(tab), found.data, opts.ifMatch);
+
+    const sheetMeta = (meta.data.sheets || []).find((s) => s.properties && s.properties.title === tab);
+    if (!sheetMeta) throw new Error('Sheet tab not found for deletion');
+    const sheetId = sheetMeta.properties.sheetId;
+
+    // not retried after a lost response: the row may already be gone and the retry would delete the next record
+    await call(
+      'batchUpdate',
+      () =>
+        sheetsClient.spreadsheets.batchUpdate({
+          spreadsheetId,
+          requestBody: {
+            requests: [
+              {
+                deleteDimension: {
+                  range: {
+                    sheetId,
+                    dimension: 'ROWS',
+                    startIndex: found.rowIndex - 1,
+                    endIndex: found.rowIndex,
+                  },
+                },
+              },
+            ],
+          },
+        }),
+      { idempotent: false }
+    );
+    return found.data;
   });
-  return created;
 }
 
-/* Update an existing row by trackingId */
-export async function updateRow(trackingId, rowData) {
+/* Replace the header row of a branch tab (schema migration). The grid is widened first when columns are added */
+export async function writeHeaders(headers, opts = {}) {
   await ensureInitialized();
-  const found = await getRowByTrackingId(trackingId);
-  if (!found) throw new Error('Tracking ID not found');
+  const tab = await tabFor(opts.branch);
+
+  return exclusively(async () => {
+    const meta = await call('spreadsheets.get', () => sheetsClient.spreadsheets.get({ spreadsheetId }));
+    const sheetMeta = (meta.data.sheets || []).find((s) => s.properties && s.properties.title === tab);
+    if (!sheetMeta) throw new Error('Sheet tab not found');
+    const { sheetId, gridProperties } = sheetMeta.properties;
+    const columnCount = (gridProperties && gridProperties.columnCount) || 0;
+
+    if (headers.length > columnCount) {
+      // not retried on 5xx: a lost response after a successful append would add the columns twice
+      await call(
+        'batchUpdate',
+        () =>
+          sheetsClient.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+              requests: [{ appendDimension: { sheetId, dimension: 'COLUMNS', length: headers.length - columnCount } }],
+            },
+          }),
+        { idempotent: false }
+      );
+    }
+    await call('values.update', () =>
+      sheetsClient.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${quoteSheetNameIfNeeded(tab)}!A1:${colLetter(headers.length)}1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [headers] },
+      })
+    );
+    return headers;
+  });
+}
 
-  const headers = await getHeaders();
-  const payload = headers.map((h) => {
-    if (h === 'history') return normalizeHistoryForStorage(rowData.history || []);
-    return rowData[h] !== undefined && rowData[h] !== null ? String(rowData[h]) : '';
+/**
+ * Merge-style upsert of many records into one branch tab (opts.branch) with one read and batched writes.
+ * Existing rows of that tab (matched by trackingId) only get the supplied fields merged in, as with patchRow;
+ * new records are appended together. Returns [{ trackingId, action: 'created' | 'updated', data, previous }] in input order
+ * (previous: the row as read before the merge, for updates).
+ */
+export async function upsertRows(records, opts = {}) {
+  await ensureInitialized();
+  const tab = await tabFor(opts.branch);
+  return withRowIndexes(() => upsertLocated(tab, records));
+}
+
+async function upsertLocated(tab, records) {
+  const { headers, rows } = await readTab(tab);
+  if (headers.length === 0) throw new Error('Header row is empty');
+
+  const trackingIdx = headerIndex(headers, 'trackingId');
+  if (trackingIdx === -1) throw new Error('trackingId column not found in headers');
+  const byId = new Map();
+  rows.forEach((row, i) => {
+    const key = normalizeTrackingId(row[trackingIdx]);
+    if (key && !byId.has(key)) byId.set(key, { rowIndex: i + 2, data: rowToRecord(headers, row) });
   });
 
   const lastCol = colLetter(headers.length);
-  const quotedName = quoteSheetNameIfNeeded(sheetName);
-  const range = `${quotedName}!A${found.rowIndex}:${lastCol}${found.rowIndex}`;
-
-  await sheetsClient.spreadsheets.values.update({
-    spreadsheetId,
-    range,
-    valueInputOption: 'RAW',
-    requestBody: { values: [payload] },
+  const quotedName = quoteSheetNameIfNeeded(tab);
+  const updates = [];
+  const appends = [];
+  const results = records.map((rec) => {
+    const existing = byId.get(normalizeTrackingId(rec.trackingId));
+    if (existing) {
+      const payload = recordToPayload(headers, mergeRecord(existing.data, rec));
+      updates.push({ range: `${quotedName}!A${existing.rowIndex}:${lastCol}${existing.rowIndex}`, values: [payload] });
+      return { trackingId: existing.data.trackingId, action: 'updated', data: rowToRecord(headers, payload), previous: existing.data };
+    }
+    const payload = recordToPayload(headers, rec);
+    appends.push(payload);
+    return { trackingId: rec.trackingId, action: 'created', data: rowToRecord(headers, payload) };
   });
 
-  const updated = {};
-  headers.forEach((h, idx) => {
-    updated[h] = h === 'history' ? parseHistory(payload[idx]) : payload[idx];
-  });
-  return updated;
+  for (let i = 0; i < updates.length; i += WRITE_BATCH_SIZE) {
+    const data = updates.slice(i, i + WRITE_BATCH_SIZE);
+    await call('values.batchUpdate', () =>
+      sheetsClient.spreadsheets.values.batchUpdate({ spreadsheetId, requestBody: { valueInputOption: 'RAW', data } })
+    );
+  }
+  for (let i = 0; i < appends.length; i += WRITE_BATCH_SIZE) {
+    const values = appends.slice(i, i + WRITE_BATCH_SIZE);
+    await call(
+      'values.append',
+      () =>
+        sheetsClient.spreadsheets.values.append({
+          spreadsheetId,
+          range: quotedName,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          requestBody: { values },
+        }),
+      { idempotent: false }
+    );
+  }
+
+  return results;
+}
+
+/* ---------- Auxiliary collections (API keys, ...) kept in their own '_name' tabs ---------- */
+
+const knownCollectionTabs = new Set();
+const collectionQueues = new Map(); // collection tab -> tail of its write chain (never rejects)
+
+/* Run fn after the earlier writes to one collection tab, so a header row extension and its append never interleave */
+function inCollectionQueue(title, fn) {
+  const result = (collectionQueues.get(title) || Promise.resolve()).then(fn, fn);
+  const tail = result.catch(() => {});
+  collectionQueues.set(title, tail);
+  tail.then(() => collectionQueues.get(title) === tail && collectionQueues.delete(title));
+  return result;
+}
+
+function collectionTab(name) {
+  return `_${name}`;
+}
+
+/* Strings are stored as-is; anything else as JSON so arrays/objects survive the round trip */
+function encodeCell(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function decodeCell(value) {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return value;
+    }
+  }
+  return value;
 }
 
-/* Delete a row by trackingId */
-export async function deleteRow(trackingId) {
+/* Create the collection tab on first use */
+async function ensureCollectionTab(name) {
   await ensureInitialized();
-  const found = await getRowByTrackingId(trackingId);
-  if (!found) throw new Error('Tracking ID not found');
-
-  const meta = await sheetsClient.spreadsheets.get({ spreadsheetId });
-  const sheetMeta = (meta.data.sheets || []).find((s) => s.properties && s.properties.title === sheetName);
-  if (!sheetMeta) throw new Error('Sheet tab not found for deletion');
-  const sheetId = sheetMeta.properties.sheetId;
-
-  await sheetsClient.spreadsheets.batchUpdate({
-    spreadsheetId,
-    requestBody: {
-      requests: [
-        {
-          deleteDimension: {
-            range: {
-              sheetId,
-              dimension: 'ROWS',
-              startIndex: found.rowIndex - 1,
-              endIndex: found.rowIndex,
-            },
-          },
-        },
-      ],
-    },
+  const title = collectionTab(name);
+  if (knownCollectionTabs.has(title)) return title;
+
+  const titles = await listSheetTitles();
+  if (!titles.includes(title)) {
+    try {
+      await call(
+        'batchUpdate',
+        () =>
+          sheetsClient.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: { requests: [{ addSheet: { properties: { title } } }] },
+          }),
+        { idempotent: false }
+      );
+      console.log('Created collection tab:', title);
+    } catch (err) {
+      // a lost response may still have created the tab (a blind retry would fail with "already exists")
+      if (!(await listSheetTitles()).includes(title)) throw err;
+    }
+  }
+  knownCollectionTabs.add(title);
+  return title;
+}
+
+/* Read every item of a collection as plain objects */
+export async function listCollection(name) {
+  const title = await ensureCollectionTab(name);
+  const resp = await call('values.get', () =>
+    sheetsClient.spreadsheets.values.get({ spreadsheetId, range: quoteSheetNameIfNeeded(title) })
+  );
+  const vals = resp.data.values || [];
+  if (vals.length < 2) return [];
+
+  const headers = vals[0].map((h) => (typeof h === 'string' ? h.trim() : h));
+  return vals.slice(1).map((row) => {
+    const item = {};
+    headers.forEach((h, idx) => {
+      if (!h || row[idx] === undefined || row[idx] === '') return;
+      item[h] = decodeCell(row[idx]);
+    });
+    return item;
   });
+}
 
-  return true;
+/*
+ * Append one item (or an array of items in one request), extending the tab's header row with any new keys.
+ * Header read, extension and append run in the collection's queue: two appends adding different keys would
+ * otherwise each write their own header row and leave one of them under the wrong column names.
+ */
+export async function appendToCollection(name, item) {
+  const items = Array.isArray(item) ? item : [item];
+  const title = await ensureCollectionTab(name);
+  return inCollectionQueue(title, () => appendLocked(title, items, item));
+}
+
+async function appendLocked(title, items, item) {
+  const quoted = quoteSheetNameIfNeeded(title);
+  const resp = await call('values.get', () =>
+    sheetsClient.spreadsheets.values.get({ spreadsheetId, range: safeRangeForRows(title, 1, 1) })
+  );
+  const headers = ((resp.data.values || [])[0] || []).map((h) => (typeof h === 'string' ? h.trim() : h));
+
+  const missing = [];
+  items.forEach((it) => Object.keys(it).forEach((k) => !headers.includes(k) && !missing.includes(k) && missing.push(k)));
+  if (missing.length) {
+    headers.push(...missing);
+    await call('values.update', () =>
+      sheetsClient.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${quoted}!A1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [headers] },
+      })
+    );
+  }
+
+  if (items.length) await enqueueAppend(title, items.map((it) => headers.map((h) => encodeCell(it[h]))));
+  return item;
+}
+
+/* Rewrite a whole collection (small collections only: keys, users, subscriptions), in the collection's queue */
+export async function replaceCollection(name, items) {
+  const title = await ensureCollectionTab(name);
+  return inCollectionQueue(title, () => replaceLocked(title, items));
+}
+
+async function replaceLocked(title, items) {
+  const quoted = quoteSheetNameIfNeeded(title);
+
+  const headers = [];
+  items.forEach((item) => Object.keys(item).forEach((k) => !headers.includes(k) && headers.push(k)));
+  if (headers.length === 0) {
+    await call('values.clear', () => sheetsClient.spreadsheets.values.clear({ spreadsheetId, range: quoted }));
+    return items;
+  }
+
+  // new rows first, then clear what is left below them: a failed write leaves the old collection readable, never
+  // an empty tab. Rows are padded to the old header width so no stale cell survives to the right of them
+  const resp = await call('values.get', () =>
+    sheetsClient.spreadsheets.values.get({ spreadsheetId, range: safeRangeForRows(title, 1, 1) })
+  );
+  const width = Math.max(headers.length, ((resp.data.values || [])[0] || []).length);
+  const pad = (row) => [...row, ...new Array(width - row.length).fill('')];
+  await call('values.update', () =>
+    sheetsClient.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${quoted}!A1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [pad(headers), ...items.map((item) => pad(headers.map((h) => encodeCell(item[h]))))] },
+    })
+  );
+  await call('values.clear', () =>
+    sheetsClient.spreadsheets.values.clear({ spreadsheetId, range: safeRangeForRows(title, items.length + 2) })
+  );
+  return items;
 }
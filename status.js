@@ -0,0 +1,176 @@
+// status.js
+// Shipment status vocabulary and lifecycle. Incoming status strings are normalized through aliases
+// ('in-transit', 'OFD', ...) to one canonical status, and every status change is checked against the
+// transition graph. Records whose stored status is not in the vocabulary (legacy free text) may move
+// to any status, so old rows can be brought back into the lifecycle.
+// The config can be overridden with STATUS_CONFIG (JSON) or STATUS_CONFIG_PATH (JSON file); keys replace the defaults.
+// Exports: DEFAULT_STATUS_CONFIG, loadStatusConfig, getStatusConfig, normalizeStatus, resolveStatus
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * statuses:    canonical names, in lifecycle order
+ * initial:     statuses a new record may start in (null = any)
+ * defaultStatus: used when a record is created without a status
+ * transitions: status -> statuses it may move to (missing or [] = terminal)
+ * aliases:     alternative spellings -> canonical status (matched like statuses, see statusKey)
+ */
+export const DEFAULT_STATUS_CONFIG = {
+  statuses: ['Booked', 'Picked Up', 'In Transit', 'Out for Delivery', 'Delivered', 'Returned', 'Exception'],
+  initial: null,
+  defaultStatus: 'Booked',
+  transitions: {
+    Booked: ['Picked Up', 'Exception'],
+    'Picked Up': ['In Transit', 'Exception'],
+    'In Transit': ['Out for Delivery', 'Exception', 'Returned'],
+    'Out for Delivery': ['Delivered', 'Returned', 'Exception', 'In Transit'],
+    Exception: ['Picked Up', 'In Transit', 'Out for Delivery', 'Delivered', 'Returned'],
+    Delivered: [],
+    Returned: [],
+  },
+  aliases: {
+    created: 'Booked',
+    pending: 'Booked',
+    pickup: 'Picked Up',
+    collected: 'Picked Up',
+    transit: 'In Transit',
+    intransit: 'In Transit',
+    shipped: 'In Transit',
+    ofd: 'Out for Delivery',
+    completed: 'Delivered',
+    'return to sender': 'Returned',
+    rts: 'Returned',
+    'on hold': 'Exception',
+    failed: 'Exception',
+  },
+};
+
+let config = null;
+let byKey = new Map(); // statusKey -> canonical status
+
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+/* Lookup key: case, punctuation and spacing do not matter ('IN_TRANSIT' = 'in-transit' = 'In Transit') */
+function statusKey(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/* Validate a config and build the lookup index; throws on references to unknown statuses */
+function compile(candidate) {
+  const statuses = candidate.statuses;
+  if (!Array.isArray(statuses) || !statuses.length) throw new Error('Status config needs a non-empty statuses list');
+
+  const known = new Set(statuses);
+  const check = (name, where) => {
+    if (!known.has(name)) throw new Error(`Status config: ${where} refers to unknown status "${name}"`);
+  };
+
+  Object.entries(candidate.transitions || {}).forEach(([from, targets]) => {
+    check(from, 'transitions');
+    (targets || []).forEach((to) => check(to, `transitions of "${from}"`));
+  });
+  (candidate.initial || []).forEach((s) => check(s, 'initial'));
+  if (candidate.defaultStatus) check(candidate.defaultStatus, 'defaultStatus');
+
+  const index = new Map();
+  Object.entries(candidate.aliases || {}).forEach(([alias, target]) => {
+    check(target, `alias "${alias}"`);
+    index.set(statusKey(alias), target);
+  });
+  statuses.forEach((s) => index.set(statusKey(s), s));
+
+  config = candidate;
+  byKey = index;
+  return config;
+}
+
+/* Load the config from STATUS_CONFIG / STATUS_CONFIG_PATH (called once at startup) */
+export function loadStatusConfig() {
+  let override = null;
+  try {
+    if (process.env.STATUS_CONFIG) override = JSON.parse(process.env.STATUS_CONFIG);
+    else if (process.env.STATUS_CONFIG_PATH) {
+      const file = path.isAbsolute(process.env.STATUS_CONFIG_PATH)
+        ? process.env.STATUS_CONFIG_PATH
+        : path.join(__dirname, process.env.STATUS_CONFIG_PATH);
+      override = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    throw new Error('Status config is not valid JSON: ' + e.message);
+  }
+
+  if (!override) return compile(DEFAULT_STATUS_CONFIG);
+
+  // a custom vocabulary does not inherit the default transitions/aliases, which name the default statuses
+  const base = override.statuses ? { initial: null, defaultStatus: null, transitions: {}, aliases: {} } : DEFAULT_STATUS_CONFIG;
+  compile({ ...base, ...override });
+  console.log('Status config loaded with', config.statuses.length, 'statuses');
+  return config;
+}
+
+export function getStatusConfig() {
+  return config || compile(DEFAULT_STATUS_CONFIG);
+}
+
+/* Canonical status for any accepted spelling, or null when it is not in the vocabulary */
+export function normalizeStatus(value) {
+  getStatusConfig();
+  if (value === undefined || value === null) return null;
+  return byKey.get(statusKey(value)) || null;
+}
+
+/**
+ * resolveStatus(current, requested, { creating })
+ *
+ * Canonical status to store when a write sets requested on a record currently in current
+ * (creating: the record is new). requested undefined means the write leaves the status alone
+ * and undefined is returned. Throws a 422 error with details { from, to, allowed } when the
+ * status is unknown, empty, not a valid initial status, or the transition is not allowed.
+ */
+export function resolveStatus(current, requested, { creating = false } = {}) {
+  const cfg = getStatusConfig();
+  if (requested === undefined) return undefined;
+
+  if (requested === null || String(requested).trim() === '') {
+    if (creating && cfg.defaultStatus) return cfg.defaultStatus;
+    throw httpError(422, 'status is required', { from: current || null, to: null, allowed: cfg.statuses });
+  }
+
+  const to = normalizeStatus(requested);
+  if (!to) {
+    throw httpError(422, `Unknown status "${String(requested).trim()}"`, {
+      from: current || null,
+      to: String(requested).trim(),
+      allowed: cfg.statuses,
+    });
+  }
+
+  if (creating) {
+    if (cfg.initial && cfg.initial.length && !cfg.initial.includes(to)) {
+      throw httpError(422, `A shipment cannot start as "${to}"`, { from: null, to, allowed: cfg.initial });
+    }
+    return to;
+  }
+
+  const from = normalizeStatus(current);
+  if (!from || from === to) return to;
+
+  const allowed = (cfg.transitions && cfg.transitions[from]) || [];
+  if (!allowed.includes(to)) {
+    const hint = allowed.length ? `allowed next: ${allowed.join(', ')}` : `"${from}" is final`;
+    throw httpError(422, `Illegal status transition from "${from}" to "${to}" (${hint})`, { from, to, allowed });
+  }
+  return to;
+}
@@ -0,0 +1,491 @@
+// storage.js
+// Storage facade used by the routes. Selects a backend at startup (STORAGE_BACKEND=sheets|file)
+// and forwards the record operations to it, so routes never import a backend directly.
+// Reads are served from the indexed cache (cache.js); our own writes patch the cache in place.
+// Every single-record write normalizes the status and enforces the lifecycle (status.js, 422 on violations)
+// and is checked against the declared schema (schema.js, 400 with details); headers are served by canonical name.
+// Successful writes are announced to onRecordChange listeners (audit log, ...) with the record before and after.
+// Records are spread over one tab per branch (branches.js): lookups search all of them, new records go to the
+// branch given by the caller or by their tracking ID prefix, and existing records are written where they are.
+// A backend is any module exposing the functions listed in BACKEND_METHODS.
+// Exports: initStorage, getBackendName, getHeaders, getAllRows, getRowByTrackingId, getRowsByTrackingIds, createRow, updateRow, patchRow, deleteRow,
+//          restoreRow, upsertRows, appendEvent, onRecordChange, getRecordVersion, refreshStorageCache, storageCacheStats,
+//          storageQueueStats, getSheetHeaders, migrateSchema, listCollection, appendToCollection, replaceCollection
+
+import * as sheets from './sheets.js';
+import * as filestore from './filestore.js';
+import {
+  initCache,
+  getSnapshot,
+  getHeaderRows,
+  lookup,
+  lookupMany,
+  refreshCache,
+  recordCreated,
+  recordUpdated,
+  recordDeleted,
+  invalidateCache,
+  cacheStats,
+} from './cache.js';
+import { normalizeTrackingId, recordVersion } from './records.js';
+import { appendToHistory } from './events.js';
+import { resolveStatus } from './status.js';
+import { canonicalColumn, canonicalFields, prepareFields, planMigration } from './schema.js';
+import { getBranches, getBranch, getDefaultBranch, branchForTrackingId } from './branches.js';
+
+// getRowByTrackingId/updateRow/patchRow/deleteRow receive an optional last argument { rowIndex, branch } as a lookup hint;
+// updateRow/patchRow/deleteRow also honour { ifMatch } (see checkVersion in records.js); updateRow/patchRow take
+// { prepare(found) } to derive the write from the row they re-read, deleteRow returns the removed record and
+// upsertRows results carry the merged row's previous data.
+// getHeaders/createRow/upsertRows/writeHeaders take { branch } to pick the tab; getAllEntries reads every branch
+// and returns { headers, branchHeaders, rows: [{ rowIndex, branch, data }] }
+const BACKEND_METHODS = [
+  'getHeaders', 'getAllEntries', 'getAllRows', 'getRowByTrackingId', 'createRow', 'updateRow', 'patchRow', 'deleteRow',
+  'upsertRows',
+  // replaces the header row (schema migration)
+  'writeHeaders',
+  // auxiliary collections of plain objects (API keys, ...), not cached
+  'listCollection', 'appendToCollection', 'replaceCollection',
+];
+
+const backends = {
+  sheets: {
+    init: (opts) => sheets.initSheets(opts.serviceAccountPath, opts.spreadsheetId, opts.sheetName || '', branchTabs()),
+    module: sheets,
+  },
+  file: {
+    init: (opts) => filestore.initFileStore(opts.filePath, branchTabs()),
+    module: filestore,
+  },
+};
+
+let active = null;
+let activeName = null;
+const recordLocks = new Map(); // normalized trackingId -> tail of the pending operation chain
+const changeListeners = [];
+
+/* [{ id, tab }] for the backends, default branch first so it wins when an ID exists in two tabs */
+function branchTabs() {
+  const first = getDefaultBranch();
+  return [first, ...getBranches().filter((b) => b !== first)].map((b) => ({ id: b.id, tab: b.tab }));
+}
+
+/* Branch a new record is written to: the requested one (400 when unknown) or the one its tracking ID routes to */
+function targetBranch(branch, trackingId) {
+  if (!branch) return branchForTrackingId(trackingId).id;
+  const found = getBranch(branch);
+  if (!found) {
+    const err = new Error(`Unknown branch "${branch}"`);
+    err.status = 400;
+    throw err;
+  }
+  return found.id;
+}
+
+/* Ensure a backend was selected before calls */
+function backend() {
+  if (!active) throw new Error('Storage not initialized. Call initStorage() first.');
+  return active;
+}
+
+/* Canonicalize and check a write against the schema and the branch tab's columns; throws 400 with the problems as details */
+async function checkedFields(fields, mode, branch) {
+  const { fields: prepared, errors } = prepareFields(fields, await getHeaders(branch), { mode });
+  if (errors.length) {
+    const err = new Error(`Invalid record: ${errors.join('; ')}`);
+    err.status = 400;
+    err.details = errors;
+    throw err;
+  }
+  return prepared;
+}
+
+/* A version conflict means the cached copy is stale (e.g. edited in the sheet): drop it so clients re-read fresh */
+function dropCacheOnConflict(err) {
+  if (err && err.status === 412) invalidateCache();
+  throw err;
+}
+
+/* Run read-modify-write operations on one tracking ID one at a time (per process) */
+async function withRecordLock(trackingId, fn) {
+  const key = normalizeTrackingId(trackingId);
+  const previous = recordLocks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  recordLocks.set(key, tail);
+  try {
+    return await run;
+  } finally {
+    if (recordLocks.get(key) === tail) recordLocks.delete(key);
+  }
+}
+
+/* Hold the record locks of several tracking IDs (taken in sorted order, so two bulk writes cannot deadlock) */
+async function withRecordLocks(trackingIds, fn) {
+  const keys = [...new Set(trackingIds.map((id) => normalizeTrackingId(id)).filter(Boolean))].sort();
+  const acquire = (i) => (i === keys.length ? fn() : withRecordLock(keys[i], () => acquire(i + 1)));
+  return acquire(0);
+}
+
+/* Notify listeners asynchronously; a failing listener never fails the write */
+function emitChange(change) {
+  changeListeners.forEach((listener) => {
+    Promise.resolve()
+      .then(() => listener(change))
+      .catch((err) => console.error(`Record change listener failed (${change.action} ${change.trackingId}):`, err.message || err));
+  });
+}
+
+/**
+ * onRecordChange(listener)
+ *
+ * Subscribe to successful record writes. listener receives
+ * { action, trackingId, branch, before, after, actor, source, at } where action is create | update | patch | event | delete | restore,
+ * before/after are the records (null when absent), branch the branch id of the record, actor is opts.actor of the write
+ * and source is 'api' or 'import'.
+ * 'event' changes also carry the appended event.
+ * Returns an unsubscribe function.
+ */
+export function onRecordChange(listener) {
+  changeListeners.push(listener);
+  return () => {
+    const idx = changeListeners.indexOf(listener);
+    if (idx !== -1) changeListeners.splice(idx, 1);
+  };
+}
+
+function changeOf(action, trackingId, branch, before, after, opts) {
+  return {
+    action,
+    trackingId,
+    branch: branch || null,
+    before: before || null,
+    after: after || null,
+    actor: opts.actor || null,
+    source: opts.source || 'api',
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * initStorage(name, opts)
+ *
+ *  - name: 'sheets' (default) or 'file' (alias: 'local', 'json').
+ *  - opts for sheets: { serviceAccountPath, spreadsheetId, sheetName }
+ *  - opts for file:   { filePath }
+ *  - opts.cacheTtlMs: lifetime of the cached snapshot (see cache.js)
+ */
+export async function initStorage(name = 'sheets', opts = {}) {
+  const key = String(name || 'sheets').trim().toLowerCase();
+  const resolved = key === 'local' || key === 'json' ? 'file' : key;
+  const entry = backends[resolved];
+  if (!entry) throw new Error(`Unknown storage backend "${name}". Expected one of: ${Object.keys(backends).join(', ')}`);
+
+  const missing = BACKEND_METHODS.filter((m) => typeof entry.module[m] !== 'function');
+  if (missing.length) throw new Error(`Storage backend "${resolved}" is missing: ${missing.join(', ')}`);
+
+  await entry.init(opts);
+  active = entry.module;
+  activeName = resolved;
+  initCache(() => active.getAllEntries(), { ttlMs: opts.cacheTtlMs });
+  return true;
+}
+
+export function getBackendName() {
+  return activeName;
+}
+
+/* Header row of a branch (default: the default branch) by canonical names (alias headers such as 'Tracking ID' come back as 'trackingId') */
+export async function getHeaders(branch) {
+  const id = branch || getDefaultBranch().id;
+  const { branchHeaders } = await getHeaderRows();
+  const headers = branchHeaders[id] && branchHeaders[id].length ? branchHeaders[id] : await backend().getHeaders({ branch: id });
+  return headers.map((h) => canonicalColumn(h));
+}
+
+/* Header row of a branch as stored and the number of data rows under a blank one (only a blank row 1 reads as []) */
+async function readSheetHeaders(branch) {
+  try {
+    return { headers: await backend().getHeaders({ branch: branch || getDefaultBranch().id }), orphanRows: 0 };
+  } catch (err) {
+    if (err.code !== 'EMPTY_HEADER') throw err;
+    return { headers: [], orphanRows: err.dataRows || 0 };
+  }
+}
+
+/* Header row of a branch exactly as stored, for schema checks. Read errors other than a blank header row are thrown */
+export async function getSheetHeaders(branch) {
+  return (await readSheetHeaders(branch)).headers;
+}
+
+/**
+ * getAllRows({ branches })
+ *
+ * { headers, rows, rowBranches } for the given branch ids (default: all): headers are the canonical columns of
+ * those branches' tabs (in order of first appearance), rowBranches the branch of each row.
+ */
+export async function getAllRows(opts = {}) {
+  backend();
+  const snapshot = await getSnapshot({ branches: opts.branches });
+  const headers = [];
+  (opts.branches || Object.keys(snapshot.branchHeaders)).forEach((id) => {
+    (snapshot.branchHeaders[id] || []).forEach((h) => {
+      const name = canonicalColumn(h);
+      if (name && !headers.includes(name)) headers.push(name);
+    });
+  });
+  return { headers, rows: snapshot.rows, rowBranches: snapshot.rowBranches };
+}
+
+export async function getRowByTrackingId(trackingId) {
+  backend();
+  if (!trackingId) return null;
+  return lookup(trackingId);
+}
+
+/* Batch lookup from one snapshot read: array aligned with trackingIds, null where not found */
+export async function getRowsByTrackingIds(trackingIds) {
+  backend();
+  return lookupMany(trackingIds);
+}
+
+/*
+ * Write functions take opts.actor (who made the change, passed on to onRecordChange listeners).
+ * createRow and restoreRow take opts.branch (default: the branch the tracking ID prefix routes to); createRow throws
+ * 409 when the tracking ID already exists
+ */
+export async function createRow(rowData, opts = {}) {
+  const input = canonicalFields(rowData);
+  const branch = targetBranch(opts.branch, input.trackingId);
+  const status = resolveStatus(null, input.status === undefined ? null : input.status, { creating: true });
+  const fields = await checkedFields({ ...input, status }, 'create', branch);
+  // checked again under the lock: two creates of one ID that both saw it missing must not append two rows
+  return withRecordLock(fields.trackingId, async () => {
+    if (fields.trackingId && (await lookup(fields.trackingId))) {
+      const err = new Error(`Tracking ID ${fields.trackingId} already exists`);
+      err.status = 409;
+      throw err;
+    }
+    const created = await backend().createRow(fields, { branch });
+    recordCreated(created, branch);
+    emitChange(changeOf('create', created.trackingId, branch, null, created, opts));
+    return created;
+  });
+}
+
+/*
+ * Re-create a previously deleted record as it was (trash restore): the status lifecycle is not applied again.
+ * Throws 409 when the tracking ID exists, checked under the record lock like createRow
+ */
+export async function restoreRow(record, opts = {}) {
+  // a branch removed from the config since the delete falls back to routing by ID
+  const branch = targetBranch(opts.branch && getBranch(opts.branch) ? opts.branch : null, record.trackingId);
+  return withRecordLock(record.trackingId, async () => {
+    if (await lookup(record.trackingId)) {
+      const err = new Error(`Tracking ID ${record.trackingId} already exists; delete or rename it before restoring`);
+      err.status = 409;
+      throw err;
+    }
+    const restored = await backend().createRow(record, { branch });
+    recordCreated(restored, branch);
+    emitChange(changeOf('restore', restored.trackingId, branch, null, restored, opts));
+    return restored;
+  });
+}
+
+/*
+ * opts.ifMatch: '*' or array of versions the stored record must match (412 otherwise).
+ * The status lifecycle and schema are checked in the backend's prepare step, against the row it re-read right before
+ * the write (the cache may be stale after an edit in the sheet). Without a status the stored one is kept.
+ */
+export async function updateRow(trackingId, rowData, opts = {}) {
+  return withRecordLock(trackingId, async () => {
+    const cached = await lookup(trackingId);
+    const input = canonicalFields(rowData);
+    let before = cached && cached.data;
+    const prepare = async (found) => {
+      before = found.data;
+      const status = input.status === undefined ? found.data.status : resolveStatus(found.data.status, input.status);
+      return checkedFields({ ...input, status }, 'replace', found.branch);
+    };
+    const branch = cached ? cached.branch : null;
+    const updated = await backend()
+      .updateRow(trackingId, null, { rowIndex: cached && cached.rowIndex, branch, ifMatch: opts.ifMatch, prepare })
+      .catch(dropCacheOnConflict);
+    recordUpdated(trackingId, updated);
+    emitChange(changeOf('update', updated.trackingId, branch, before, updated, opts));
+    return updated;
+  });
+}
+
+/* Merge-style update: only supplied fields change, explicit null clears. Returns the merged record */
+export async function patchRow(trackingId, changes, opts = {}) {
+  return withRecordLock(trackingId, async () => {
+    const cached = await lookup(trackingId);
+    const input = canonicalFields(changes);
+    let before = cached && cached.data;
+    const prepare = async (found) => {
+      before = found.data;
+      const status = resolveStatus(found.data.status, input.status);
+      return checkedFields(status === undefined ? input : { ...input, status }, 'patch', found.branch);
+    };
+    const branch = cached ? cached.branch : null;
+    const patched = await backend()
+      .patchRow(trackingId, null, { rowIndex: cached && cached.rowIndex, branch, ifMatch: opts.ifMatch, prepare })
+      .catch(dropCacheOnConflict);
+    recordUpdated(trackingId, patched);
+    emitChange(changeOf('patch', patched.trackingId, branch, before, patched, opts));
+    return patched;
+  });
+}
+
+export async function deleteRow(trackingId, opts = {}) {
+  return withRecordLock(trackingId, async () => {
+    const cached = await lookup(trackingId);
+    const branch = cached ? cached.branch : null;
+    // the backend returns the row it removed, which may differ from the cached copy
+    const removed = await backend()
+      .deleteRow(trackingId, { rowIndex: cached && cached.rowIndex, branch, ifMatch: opts.ifMatch })
+      .catch(dropCacheOnConflict);
+    recordDeleted(trackingId);
+    const before = removed && typeof removed === 'object' ? removed : cached && cached.data;
+    emitChange(changeOf('delete', (before && before.trackingId) || trackingId, branch, before, null, opts));
+    return true;
+  });
+}
+
+/*
+ * Bulk merge-style upsert (imports). Callers validate statuses per row (resolveStatus) before calling.
+ * Existing records are updated in their branch; new ones go to opts.targetBranches[i] (aligned with records),
+ * opts.branch or the branch their ID routes to, one backend call per branch. Results keep the input order and
+ * carry the branch. The cached snapshot is dropped afterwards rather than patched. Holds the record lock of every
+ * imported ID, so a concurrent patch or scan of one of them is not overwritten by the import's merge
+ */
+export async function upsertRows(records, opts = {}) {
+  return withRecordLocks(records.map((r) => r.trackingId), () => upsertLocked(records, opts));
+}
+
+async function upsertLocked(records, opts) {
+  const groups = new Map(); // branch id -> [input index]
+  for (let i = 0; i < records.length; i++) {
+    const cached = await lookup(records[i].trackingId);
+    const requested = (opts.targetBranches && opts.targetBranches[i]) || opts.branch;
+    const branch = cached && cached.branch ? cached.branch : targetBranch(requested, records[i].trackingId);
+    groups.set(branch, [...(groups.get(branch) || []), i]);
+  }
+
+  const results = new Array(records.length);
+  try {
+    for (const [branch, indexes] of groups) {
+      const written = await backend().upsertRows(indexes.map((i) => records[i]), { branch });
+      written.forEach((r, n) => {
+        results[indexes[n]] = { ...r, branch };
+      });
+    }
+  } finally {
+    invalidateCache();
+  }
+
+  const changeOpts = { ...opts, source: 'import' };
+  return results.map(({ previous, ...r }) => {
+    emitChange(changeOf(r.action === 'created' ? 'create' : 'update', r.trackingId, r.branch, previous || null, r.data, changeOpts));
+    return r;
+  });
+}
+
+/**
+ * appendEvent(trackingId, event, { updateRecord = true, actor })
+ *
+ * Appends one validated event to the stored history, re-reading the row from the backend
+ * (not the cache) under a per-record lock so concurrent scans never drop each other.
+ * History stays chronologically sorted. When updateRecord is set and the event is the newest one,
+ * its status/date are copied to the top-level status/lastUpdated columns (subject to the status lifecycle).
+ * Returns { data, event } or null when the tracking ID does not exist.
+ */
+export async function appendEvent(trackingId, event, opts = {}) {
+  const updateRecord = opts.updateRecord !== false;
+  return withRecordLock(trackingId, async () => {
+    const cached = await lookup(trackingId);
+    const found = await backend().getRowByTrackingId(trackingId, {
+      rowIndex: cached && cached.rowIndex,
+      branch: cached ? cached.branch : undefined,
+    });
+    if (!found) return null;
+
+    const record = { ...found.data };
+    const { history, isLatest } = appendToHistory(record.history, event);
+    record.history = history;
+    if (updateRecord && isLatest) {
+      if (event.status) record.status = resolveStatus(found.data.status, event.status);
+      record.lastUpdated = event.date;
+    }
+
+    const updated = await backend().updateRow(found.data.trackingId, record, { rowIndex: found.rowIndex, branch: found.branch });
+    recordUpdated(found.data.trackingId, updated);
+    emitChange({ ...changeOf('event', found.data.trackingId, found.branch, found.data, updated, opts), event });
+    return { data: updated, event };
+  });
+}
+
+/* Version (ETag value) of a record under the headers of its branch (looked up by trackingId when not given) */
+export async function getRecordVersion(record, branch) {
+  let id = branch;
+  if (!id && record && record.trackingId) {
+    const cached = await lookup(record.trackingId);
+    id = cached ? cached.branch : null;
+  }
+  return recordVersion(await getHeaders(id), record);
+}
+
+/* Force a reload of the cached snapshot from the backend */
+export async function refreshStorageCache() {
+  backend();
+  await refreshCache();
+  return cacheStats();
+}
+
+export function storageCacheStats() {
+  return cacheStats();
+}
+
+/**
+ * migrateSchema({ dryRun, add, branch })
+ *
+ * Brings the header row of a branch tab (default: the default branch) in line with the schema: alias headers are
+ * renamed in place and missing columns appended (optional ones only when listed in add), so no cell moves.
+ * Returns the plan (see planMigration). Throws 409 when the tab has data rows under a blank header row: the
+ * columns of those rows cannot be told, so writing a fresh header row over them would mislabel every cell.
+ */
+export async function migrateSchema(opts = {}) {
+  const branch = opts.branch ? targetBranch(opts.branch) : getDefaultBranch().id;
+  const { headers, orphanRows } = await readSheetHeaders(branch);
+  if (orphanRows) {
+    const err = new Error(`The tab of branch "${branch}" has ${orphanRows} data rows but no header row; restore the header row by hand`);
+    err.status = 409;
+    throw err;
+  }
+  const plan = planMigration(headers, { add: opts.add });
+  if (plan.changed && !opts.dryRun) {
+    await backend().writeHeaders(plan.headers, { branch });
+    invalidateCache();
+  }
+  return { ...plan, branch, dryRun: Boolean(opts.dryRun) };
+}
+
+/* Write queue depth and retry counters of the backend, or null when it writes synchronously (file) */
+export function storageQueueStats() {
+  const b = backend();
+  return typeof b.writeQueueStats === 'function' ? b.writeQueueStats() : null;
+}
+
+export async function listCollection(name) {
+  return backend().listCollection(name);
+}
+
+export async function appendToCollection(name, item) {
+  return backend().appendToCollection(name, item);
+}
+
+export async function replaceCollection(name, items) {
+  return backend().replaceCollection(name, items);
+}
@@ -0,0 +1,153 @@
+// stream.js
+// Live tracking updates over Server-Sent Events (GET /api/track/:id/stream).
+// A 'tracking' event carrying the public record is pushed on connect and whenever the record changes,
+// either through our own writes (onRecordChange) or, while anyone is watching, when a background poll
+// finds a new version (edits made directly in Google Sheets). The poll reads the watched rows through the
+// storage cache, so such edits show up once the cache has expired (CACHE_TTL_MS), not on every poll.
+// The event id is the record version, so a reconnect with Last-Event-ID only gets a snapshot if the
+// record changed in between. Comment heartbeats keep proxies from closing idle connections.
+// Limits: STREAM_MAX_PER_IP open streams per client, STREAM_MAX_CONNECTIONS overall, and streams are
+// closed after STREAM_MAX_DURATION_MS (clients reconnect automatically).
+// Exports: openTrackingStream, startStreams
+
+import { onRecordChange, getRowByTrackingId, getRowsByTrackingIds, getRecordVersion } from './storage.js';
+import { normalizeTrackingId, trackingView } from './records.js';
+import { applyFieldPolicy } from './fields.js';
+import { clientIp } from './ratelimit.js';
+
+const envNumber = (name, fallback) => (Number(process.env[name]) > 0 ? Number(process.env[name]) : fallback);
+const MAX_PER_IP = envNumber('STREAM_MAX_PER_IP', 5);
+const MAX_CONNECTIONS = envNumber('STREAM_MAX_CONNECTIONS', 1000);
+const MAX_DURATION_MS = envNumber('STREAM_MAX_DURATION_MS', 30 * 60000);
+const HEARTBEAT_MS = envNumber('STREAM_HEARTBEAT_MS', 25000);
+const POLL_MS = envNumber('STREAM_POLL_MS', 15000);
+const RETRY_MS = 5000;
+
+const watchers = new Map(); // normalized trackingId -> { connections: Set, version }
+const perIp = new Map(); // client ip -> open stream count
+let total = 0;
+let started = false;
+let polling = false;
+
+function send(conn, event, id, data) {
+  let frame = `event: ${event}\n`;
+  if (id) frame += `id: ${id}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  conn.res.write(frame);
+}
+
+/* Push the current record to every watcher of one tracking ID, unless they already have this version */
+async function publish(key, record) {
+  const watch = watchers.get(key);
+  if (!watch) return;
+
+  if (!record) {
+    watch.connections.forEach((conn) => {
+      send(conn, 'deleted', null, { trackingId: conn.trackingId });
+      conn.close();
+    });
+    return;
+  }
+
+  const version = await getRecordVersion(record);
+  if (version === watch.version) return;
+  watch.version = version;
+  const data = applyFieldPolicy(trackingView(record), 'public');
+  watch.connections.forEach((conn) => send(conn, 'tracking', version, data));
+}
+
+/* Look up the watched records while streams are open and publish those that changed outside our routes */
+async function poll() {
+  if (polling || watchers.size === 0) return;
+  polling = true;
+  try {
+    const keys = [...watchers.keys()];
+    const found = await getRowsByTrackingIds(keys);
+    for (let i = 0; i < keys.length; i++) await publish(keys[i], found[i] ? found[i].data : null);
+  } catch (error) {
+    console.error('Tracking stream poll failed:', error.message || error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * openTrackingStream(req, res, trackingId)
+ *
+ * Takes over the response as an event stream. Answers 404 for unknown IDs and 429 / 503 when the
+ * per-client or overall connection limit is reached.
+ */
+export async function openTrackingStream(req, res, trackingId) {
+  const ip = clientIp(req);
+  if ((perIp.get(ip) || 0) >= MAX_PER_IP) {
+    return res.status(429).json({ error: 'Too many open tracking streams from this client' });
+  }
+  if (total >= MAX_CONNECTIONS) {
+    res.set('Retry-After', String(RETRY_MS / 1000));
+    return res.status(503).json({ error: 'Tracking stream capacity reached, please retry later' });
+  }
+
+  const found = await getRowByTrackingId(trackingId);
+  if (!found) return res.status(404).json({ error: 'Tracking ID not found' });
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx and similar proxies must not buffer the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const key = normalizeTrackingId(trackingId);
+  let closed = false;
+  const conn = {
+    trackingId: found.data.trackingId,
+    res,
+    close: () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      const watch = watchers.get(key);
+      if (watch) {
+        watch.connections.delete(conn);
+        if (watch.connections.size === 0) watchers.delete(key);
+      }
+      total -= 1;
+      const count = (perIp.get(ip) || 1) - 1;
+      if (count > 0) perIp.set(ip, count);
+      else perIp.delete(ip);
+      res.end();
+    },
+  };
+
+  total += 1;
+  perIp.set(ip, (perIp.get(ip) || 0) + 1);
+  if (!watchers.has(key)) watchers.set(key, { connections: new Set(), version: null });
+  const watch = watchers.get(key);
+  watch.connections.add(conn);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiry = setTimeout(() => conn.close(), MAX_DURATION_MS);
+  req.on('close', conn.close);
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  const version = await getRecordVersion(found.data);
+  if (watch.version !== null && watch.version !== version) {
+    // newer than what the other watchers were sent: bring everyone up to date
+    await publish(key, found.data);
+    return;
+  }
+  watch.version = version;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId !== version) send(conn, 'tracking', version, applyFieldPolicy(trackingView(found.data), 'public'));
+}
+
+/* Subscribe to record changes and start the background poll (called once after initStorage) */
+export function startStreams() {
+  if (started) return;
+  started = true;
+  onRecordChange((change) => publish(normalizeTrackingId(change.trackingId), change.after));
+  setInterval(poll, POLL_MS).unref();
+}
@@ -0,0 +1,292 @@
+// trackingids.js
+// Tracking ID format: generation of new IDs, validation of incoming ones and typo suggestions.
+// The format is a pattern of segments, by default '{prefix}{date}{random:5}{check:luhn}' (e.g. TKS2502011234 + check):
+//   {prefix}        one of the configured prefixes (TRACKING_ID_PREFIX, default TKS)
+//   {date}          creation date as YYMMDD ({date:YYYYMMDD} for the long form), UTC
+//   {random:N}      N random digits
+//   {seq:N}         N-digit counter per prefix and date, persisted in the 'trackingIdSequences' collection
+//   {check:luhn}    Luhn check digit over the digits before it; {check:mod11} gives 0-9 or X
+// Any other text is a literal. Configure with TRACKING_ID_FORMAT, TRACKING_ID_PREFIX (comma separated for several)
+// and TRACKING_ID_ACCEPT_LEGACY (default true: IDs that do not have the generated shape, whatever their characters
+// or length, are still looked up).
+// Exports: loadTrackingIdConfig, getTrackingIdConfig, checkDigit, generateTrackingId, validateTrackingId, typoCandidates
+
+import crypto from 'crypto';
+import { getRowByTrackingId, listCollection, replaceCollection } from './storage.js';
+import { normalizeTrackingId } from './records.js';
+import { listTrash } from './trash.js';
+
+const DEFAULT_FORMAT = '{prefix}{date}{random:5}{check:luhn}';
+const SEQUENCE_COLLECTION = 'trackingIdSequences';
+const MAX_ATTEMPTS = 20;
+const RESERVE_MS = 5 * 60000;
+// with TRACKING_ID_ACCEPT_LEGACY=false, anything that is not letters, digits, '-' or '_', or outside 3-40
+// characters, is never a tracking ID
+const BASIC_SHAPE = /^[A-Z0-9][A-Z0-9_-]{2,39}$/;
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+let config = null;
+let shape = null; // RegExp with one group per segment
+let queue = Promise.resolve(); // generation is serialized so concurrent creates never get the same ID
+const reserved = new Map(); // ID handed out but maybe not written yet -> expiry
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* Run fn after every earlier generation has finished */
+function serialized(fn) {
+  const result = queue.then(fn, fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parseFormat(format, prefixes) {
+  const segments = [];
+  let last = 0;
+  const tokens = /\{(\w+)(?::(\w+))?\}/g;
+  let m;
+  while ((m = tokens.exec(format))) {
+    if (m.index > last) segments.push({ type: 'literal', text: format.slice(last, m.index).toUpperCase() });
+    last = tokens.lastIndex;
+    const [, type, arg] = m;
+    if (type === 'prefix') segments.push({ type });
+    else if (type === 'date') {
+      const pattern = (arg || 'YYMMDD').toUpperCase();
+      if (pattern !== 'YYMMDD' && pattern !== 'YYYYMMDD') throw new Error(`Tracking ID format: unsupported date "${arg}"`);
+      segments.push({ type, pattern, length: pattern.length });
+    } else if (type === 'random' || type === 'seq') {
+      const length = Number(arg);
+      if (!Number.isInteger(length) || length < 1 || length > 12) {
+        throw new Error(`Tracking ID format: {${type}:N} needs a length between 1 and 12`);
+      }
+      segments.push({ type, length });
+    } else if (type === 'check') {
+      const algorithm = (arg || 'luhn').toLowerCase();
+      if (algorithm !== 'luhn' && algorithm !== 'mod11') throw new Error(`Tracking ID format: unknown check "${arg}"`);
+      segments.push({ type, algorithm });
+    } else {
+      throw new Error(`Tracking ID format: unknown segment {${type}}`);
+    }
+  }
+  if (last < format.length) segments.push({ type: 'literal', text: format.slice(last).toUpperCase() });
+
+  if (!segments.some((s) => s.type === 'random' || s.type === 'seq')) {
+    throw new Error('Tracking ID format needs a {random:N} or {seq:N} segment');
+  }
+  const checks = segments.filter((s) => s.type === 'check');
+  if (checks.length > 1 || (checks.length && segments[segments.length - 1].type !== 'check')) {
+    throw new Error('Tracking ID format: {check} may only appear once, as the last segment');
+  }
+  if (segments.some((s) => s.type === 'prefix') && !prefixes.length) throw new Error('Tracking ID format uses {prefix} but no prefix is set');
+  return segments;
+}
+
+function buildShape(segments, prefixes) {
+  const parts = segments.map((s) => {
+    if (s.type === 'literal') return `(${escapeRegExp(s.text)})`;
+    if (s.type === 'prefix') return `(${prefixes.map(escapeRegExp).join('|')})`;
+    if (s.type === 'check') return s.algorithm === 'mod11' ? '([0-9X])' : '([0-9])';
+    return `(\\d{${s.length}})`;
+  });
+  return new RegExp(`^${parts.join('')}$`);
+}
+
+/**
+ * loadTrackingIdConfig()
+ *
+ * Reads TRACKING_ID_FORMAT / TRACKING_ID_PREFIX / TRACKING_ID_ACCEPT_LEGACY. Throws on an invalid format
+ * so a bad deploy fails at startup.
+ */
+export function loadTrackingIdConfig() {
+  const format = process.env.TRACKING_ID_FORMAT || DEFAULT_FORMAT;
+  const prefixes = String(process.env.TRACKING_ID_PREFIX || 'TKS')
+    .split(',')
+    .map((p) => normalizeTrackingId(p))
+    .filter(Boolean);
+  if (prefixes.some((p) => !/^[A-Z0-9_-]+$/.test(p))) throw new Error('TRACKING_ID_PREFIX may only contain letters, digits, - and _');
+
+  const segments = parseFormat(format, prefixes);
+  config = {
+    format,
+    prefixes,
+    segments,
+    acceptLegacy: process.env.TRACKING_ID_ACCEPT_LEGACY !== 'false',
+  };
+  shape = buildShape(segments, prefixes);
+  return config;
+}
+
+export function getTrackingIdConfig() {
+  if (!config) loadTrackingIdConfig();
+  return config;
+}
+
+/* Check character for a digit string: 'luhn' gives 0-9, 'mod11' (weights 2-7 from the right) gives 0-9 or X */
+export function checkDigit(digits, algorithm = 'luhn') {
+  const values = String(digits).replace(/\D/g, '').split('').map(Number).reverse();
+  if (algorithm === 'mod11') {
+    const sum = values.reduce((acc, d, i) => acc + d * ((i % 6) + 2), 0);
+    const r = (11 - (sum % 11)) % 11;
+    return r === 10 ? 'X' : String(r);
+  }
+  const sum = values.reduce((acc, d, i) => {
+    if (i % 2 === 1) return acc + d;
+    const doubled = d * 2;
+    return acc + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/* Digits the check character covers: every date/random/seq segment of a parsed ID */
+function payloadDigits(segments, values) {
+  return segments
+    .map((s, i) => (s.type === 'date' || s.type === 'random' || s.type === 'seq' ? values[i] : ''))
+    .join('');
+}
+
+/* Whether a normalized ID has the generated shape and, if the format has one, a matching check character */
+function matchesFormat(id) {
+  const m = shape.exec(id);
+  if (!m) return { shaped: false, checked: false };
+  const values = m.slice(1);
+  const check = config.segments[config.segments.length - 1];
+  if (check.type !== 'check') return { shaped: true, checked: true };
+  const expected = checkDigit(payloadDigits(config.segments, values), check.algorithm);
+  return { shaped: true, checked: values[values.length - 1] === expected };
+}
+
+/**
+ * validateTrackingId(id)
+ *
+ * Returns { valid: true, legacy } or { valid: false, reason }. IDs with the generated shape must have a
+ * matching check character; any other ID is valid as a legacy ID (older sheets hold IDs like 'ABC 123' or
+ * 'HK/2019.44') unless TRACKING_ID_ACCEPT_LEGACY=false, which also limits IDs to BASIC_SHAPE.
+ */
+export function validateTrackingId(id) {
+  getTrackingIdConfig();
+  const key = normalizeTrackingId(id);
+  if (!key) return { valid: false, reason: 'Tracking ID is empty' };
+  if (!config.acceptLegacy && !BASIC_SHAPE.test(key)) {
+    return { valid: false, reason: 'Tracking IDs are 3-40 letters, digits, - or _' };
+  }
+  const { shaped, checked } = matchesFormat(key);
+  if (shaped && !checked) return { valid: false, reason: 'Check digit does not match, the ID probably has a typo' };
+  if (!shaped && !config.acceptLegacy) return { valid: false, reason: 'Tracking ID does not match the expected format' };
+  return { valid: true, legacy: !shaped };
+}
+
+/**
+ * typoCandidates(id)
+ *
+ * Generated-format IDs one typo away from id: one character replaced, missing, extra, or two neighbours
+ * swapped. Callers keep only the candidates that exist before showing them.
+ */
+export function typoCandidates(id) {
+  getTrackingIdConfig();
+  const key = normalizeTrackingId(id);
+  if (!key || key.length > 41) return [];
+  const found = new Set();
+  const consider = (candidate) => {
+    if (candidate !== key && matchesFormat(candidate).checked) found.add(candidate);
+  };
+
+  for (let i = 0; i <= key.length; i++) {
+    for (const c of ALPHABET) {
+      if (i < key.length) consider(key.slice(0, i) + c + key.slice(i + 1));
+      consider(key.slice(0, i) + c + key.slice(i));
+    }
+    if (i < key.length) consider(key.slice(0, i) + key.slice(i + 1));
+    if (i < key.length - 1) consider(key.slice(0, i) + key[i + 1] + key[i] + key.slice(i + 2));
+  }
+  return [...found];
+}
+
+function datePart(pattern, now) {
+  const iso = now.toISOString();
+  const full = iso.slice(0, 4) + iso.slice(5, 7) + iso.slice(8, 10);
+  return pattern === 'YYYYMMDD' ? full : full.slice(2);
+}
+
+function randomDigits(length) {
+  let out = '';
+  for (let i = 0; i < length; i++) out += String(crypto.randomInt(10));
+  return out;
+}
+
+/* Next value of a persisted counter; scope is the ID text before the {seq} segment. Call inside serialized:
+   the counter is read and the collection rewritten, so two callers at once would hand out the same value */
+async function nextSequence(scope, length) {
+  const entries = await listCollection(SEQUENCE_COLLECTION);
+  const entry = entries.find((e) => e.scope === scope);
+  const value = (entry ? Number(entry.value) || 0 : 0) + 1;
+  if (String(value).length > length) throw httpError(503, `Tracking ID sequence for ${scope} is exhausted`);
+
+  const updated = { scope, value, updatedAt: new Date().toISOString() };
+  // with a date in the scope, counters of earlier days are no longer needed
+  const today = updated.updatedAt.slice(0, 10);
+  const dated = config.segments.some((seg) => seg.type === 'date');
+  const kept = entries.filter((e) => e.scope !== scope && (!dated || String(e.updatedAt || '').slice(0, 10) === today));
+  await replaceCollection(SEQUENCE_COLLECTION, [...kept, updated]);
+  return String(value).padStart(length, '0');
+}
+
+async function compose(prefix, now) {
+  const values = [];
+  let text = '';
+  for (const s of config.segments) {
+    let value;
+    if (s.type === 'literal') value = s.text;
+    else if (s.type === 'prefix') value = prefix;
+    else if (s.type === 'date') value = datePart(s.pattern, now);
+    else if (s.type === 'random') value = randomDigits(s.length);
+    else if (s.type === 'seq') value = await nextSequence(text, s.length);
+    else value = checkDigit(payloadDigits(config.segments, values), s.algorithm);
+    values.push(value);
+    text += value;
+  }
+  return text;
+}
+
+async function taken(id) {
+  const until = reserved.get(id);
+  if (until && until > Date.now()) return true;
+  if (await getRowByTrackingId(id)) return true;
+  // a trashed record keeps its ID so it can still be restored
+  return (await listTrash({ trackingId: id })).length > 0;
+}
+
+/**
+ * generateTrackingId({ prefix })
+ *
+ * New ID in the configured format that is not used by any record (or trashed record). prefix must be one of
+ * the configured prefixes (default: the first). Throws 503 when no free ID is found. The ID stays reserved for
+ * RESERVE_MS; createRow checks it again under the record lock, so a record written meanwhile is never doubled.
+ */
+export function generateTrackingId(opts = {}) {
+  const cfg = getTrackingIdConfig();
+  const prefix = opts.prefix ? normalizeTrackingId(opts.prefix) : cfg.prefixes[0];
+  if (prefix && !cfg.prefixes.includes(prefix)) {
+    return Promise.reject(httpError(400, `Unknown tracking ID prefix "${opts.prefix}"`));
+  }
+
+  const run = async () => {
+    const now = Date.now();
+    reserved.forEach((until, id) => {
+      if (until <= now) reserved.delete(id);
+    });
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const id = await compose(prefix, new Date());
+      if (await taken(id)) continue;
+      reserved.set(id, Date.now() + RESERVE_MS);
+      return id;
+    }
+    throw httpError(503, 'Could not generate a free tracking ID; the format needs a longer random or sequence part');
+  };
+
+  return serialized(run);
+}
@@ -0,0 +1,155 @@
+// transfer.js
+// Bulk import (CSV / XLSX) and CSV export of tracking records.
+// Import columns are matched to sheet headers through the schema aliases used for reading (schema.js),
+// then case-insensitively; values are checked against the column types; unmatched columns are reported and ignored. Empty cells leave the stored
+// value untouched, so a file with only trackingId + status updates just the status.
+// Exports: IMPORT_CONTENT_TYPES, IMPORT_MAX_ROWS, readUpload, planImport, writeCsv
+
+import { parseCsv, toCsvLine } from './csv.js';
+import { canonicalFieldName, normalizeTrackingId } from './records.js';
+import { prepareFields } from './schema.js';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export const IMPORT_CONTENT_TYPES = ['text/csv', 'text/plain', 'application/csv', XLSX_TYPE, 'application/octet-stream'];
+export const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) > 0 ? Number(process.env.IMPORT_MAX_ROWS) : 5000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* XLSX files are zip archives and start with 'PK' */
+function looksLikeXlsx(buffer) {
+  return buffer.length > 3 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+}
+
+/* Text of one exceljs cell; dates become 'YYYY-MM-DD' (or 'YYYY-MM-DD HH:mm' when a time is set) */
+function cellText(cell) {
+  const v = cell.value;
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) {
+    const iso = v.toISOString();
+    return iso.slice(11, 16) === '00:00' ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+  }
+  if (typeof v === 'object' && 'result' in v) return v.result === undefined || v.result === null ? '' : String(v.result);
+  return cell.text;
+}
+
+async function readXlsx(buffer) {
+  // loaded on demand: exceljs is large and only needed for imports
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw httpError(400, 'File is not a valid XLSX workbook');
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let i = 1; i <= row.cellCount; i++) cells.push(cellText(row.getCell(i)));
+    if (cells.some((c) => String(c).trim() !== '')) rows.push(cells);
+  });
+  return rows;
+}
+
+/**
+ * readUpload(body, { contentType, format })
+ *
+ * body is the raw request Buffer. format ('csv' | 'xlsx') overrides detection from the
+ * content type and file signature. Returns an array of rows (arrays of strings), header row first.
+ */
+export async function readUpload(body, { contentType = '', format } = {}) {
+  if (!Buffer.isBuffer(body) || body.length === 0) throw httpError(400, 'Upload a CSV or XLSX file as the request body');
+
+  const wanted = format ? String(format).toLowerCase() : null;
+  if (wanted && wanted !== 'csv' && wanted !== 'xlsx') throw httpError(400, 'format must be csv or xlsx');
+
+  const isXlsx = wanted ? wanted === 'xlsx' : contentType.includes(XLSX_TYPE) || looksLikeXlsx(body);
+  if (isXlsx) return readXlsx(body);
+
+  try {
+    return parseCsv(body.toString('utf8'));
+  } catch (e) {
+    throw httpError(400, e.message);
+  }
+}
+
+/**
+ * planImport(table, headers)
+ *
+ * Validates the uploaded rows against the sheet headers. Returns { columns, ignoredColumns, rows }
+ * where rows holds one entry per data row: { row, trackingId, record, errors }. record is the partial
+ * record to upsert (empty cells omitted); the row is valid when errors is empty.
+ * row counts non-blank rows, the header being row 1.
+ */
+export function planImport(table, headers) {
+  if (!table.length) throw httpError(400, 'File is empty');
+  const [headerRow, ...dataRows] = table;
+  if (dataRows.length > IMPORT_MAX_ROWS) throw httpError(413, `Import is limited to ${IMPORT_MAX_ROWS} rows`);
+
+  const byLower = new Map(headers.map((h) => [String(h).toLowerCase(), h]));
+  const used = new Set();
+  const ignoredColumns = [];
+  const columns = headerRow.map((name) => {
+    const label = String(name).trim();
+    const canonical = canonicalFieldName(label);
+    const header = headers.includes(canonical) ? canonical : byLower.get(canonical.toLowerCase());
+    if (!label || !header || used.has(header)) {
+      if (label) ignoredColumns.push(label);
+      return null;
+    }
+    used.add(header);
+    return header;
+  });
+  if (!columns.includes('trackingId')) throw httpError(400, 'File has no trackingId column');
+
+  const seen = new Map(); // normalized trackingId -> first row number
+  const rows = dataRows.map((cells, i) => {
+    const rowNumber = i + 2;
+    const record = {};
+    const errors = [];
+
+    columns.forEach((header, idx) => {
+      if (!header) return;
+      const value = cells[idx] === undefined ? '' : String(cells[idx]).trim();
+      if (value !== '') record[header] = value;
+    });
+
+    const key = normalizeTrackingId(record.trackingId);
+    if (!key) errors.push('trackingId is required');
+    else if (seen.has(key)) errors.push(`duplicate trackingId (first seen on row ${seen.get(key)})`);
+    else seen.set(key, rowNumber);
+
+    // type errors only: empty cells are omitted, so nothing required can be cleared
+    errors.push(...prepareFields(record, headers, { mode: 'patch' }).errors);
+
+    return { row: rowNumber, trackingId: record.trackingId || '', record, errors };
+  });
+
+  return { columns: columns.filter(Boolean), ignoredColumns, rows };
+}
+
+/* Stream records as CSV (header line first), waiting for the socket to drain on large exports */
+export async function writeCsv(res, headers, rows) {
+  const write = (chunk) =>
+    res.write(chunk) ? Promise.resolve() : new Promise((resolve) => res.once('drain', resolve));
+
+  // BOM so spreadsheet apps open the file as UTF-8
+  await write('\uFEFF' + toCsvLine(headers));
+  let chunk = '';
+  for (const row of rows) {
+    chunk += toCsvLine(headers.map((h) => row[h]));
+    if (chunk.length > 64 * 1024) {
+      await write(chunk);
+      chunk = '';
+    }
+  }
+  if (chunk) await write(chunk);
+  res.end();
+}
@@ -0,0 +1,127 @@
+// transports.js
+// Message transports for customer notifications. A transport is an object
+//   { name, send({ channel, to, subject, text, html, unsubscribeUrl }) -> Promise<{ id }> }
+// so another provider only needs a new factory here.
+//   smtp     email through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM), with
+//            List-Unsubscribe / List-Unsubscribe-Post headers so mail clients offer one-click unsubscribe
+//   gateway  SMS through an HTTP gateway (SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN, SMS_FROM, SMS_GATEWAY_FORMAT=json|twilio)
+//   file     appends each message as a JSON line to NOTIFY_OUTBOX_PATH (default ./outbox.jsonl), for local testing
+//   console  logs each message
+// Exports: createSmtpTransport, createSmsGatewayTransport, createFileTransport, createConsoleTransport, createTransport
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const GATEWAY_TIMEOUT_MS = 10000;
+
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.SMTP_FROM || process.env.SMTP_USER,
+} = {}) {
+  if (!host) throw new Error('SMTP transport needs SMTP_HOST');
+  if (!from) throw new Error('SMTP transport needs SMTP_FROM');
+  let mailer = null;
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html, unsubscribeUrl }) {
+      if (!mailer) {
+        // loaded on first use so the dependency is only needed when email is enabled
+        const { default: nodemailer } = await import('nodemailer');
+        mailer = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+      }
+      const headers = unsubscribeUrl
+        ? { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        : undefined;
+      const info = await mailer.sendMail({ from, to, subject, text, html: html || undefined, headers });
+      return { id: info.messageId || '' };
+    },
+  };
+}
+
+export function createSmsGatewayTransport({
+  url = process.env.SMS_GATEWAY_URL,
+  token = process.env.SMS_GATEWAY_TOKEN,
+  from = process.env.SMS_FROM || '',
+  format = process.env.SMS_GATEWAY_FORMAT || 'json',
+} = {}) {
+  if (!url) throw new Error('SMS gateway transport needs SMS_GATEWAY_URL');
+  if (format !== 'json' && format !== 'twilio') throw new Error('SMS_GATEWAY_FORMAT must be json or twilio');
+
+  return {
+    name: 'gateway',
+    async send({ to, text }) {
+      let request;
+      if (format === 'twilio') {
+        // token is "<account sid>:<auth token>"; url is the account's Messages.json endpoint
+        request = {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Authorization: `Basic ${Buffer.from(String(token || '')).toString('base64')}`,
+          },
+          body: new URLSearchParams({ To: to, From: from, Body: text }).toString(),
+        };
+      } else {
+        request = {
+          headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+          body: JSON.stringify({ to, from, message: text }),
+        };
+      }
+
+      const response = await fetch(url, { method: 'POST', ...request, signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS) });
+      const body = await response.text();
+      if (!response.ok) throw new Error(`SMS gateway answered HTTP ${response.status}: ${body.slice(0, 200)}`);
+
+      let id = '';
+      try {
+        const parsed = JSON.parse(body);
+        id = String(parsed.id || parsed.sid || parsed.messageId || '');
+      } catch {
+        // gateways without a JSON answer
+      }
+      return { id };
+    },
+  };
+}
+
+export function createFileTransport({ filePath = process.env.NOTIFY_OUTBOX_PATH || './outbox.jsonl' } = {}) {
+  const target = path.isAbsolute(filePath) ? filePath : path.join(__dirname, filePath);
+  return {
+    name: 'file',
+    async send(message) {
+      const id = crypto.randomBytes(8).toString('hex');
+      await fs.promises.appendFile(target, JSON.stringify({ id, at: new Date().toISOString(), ...message }) + '\n');
+      return { id };
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ channel, to, subject, text }) {
+      const id = crypto.randomBytes(8).toString('hex');
+      console.log(`[notify:${channel}] to=${to}${subject ? ` subject="${subject}"` : ''}\n${text}`);
+      return { id };
+    },
+  };
+}
+
+/* Transport by name ('smtp' | 'gateway' | 'file' | 'console'); 'none' or empty gives null */
+export function createTransport(name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key || key === 'none') return null;
+  if (key === 'smtp') return createSmtpTransport();
+  if (key === 'gateway' || key === 'sms') return createSmsGatewayTransport();
+  if (key === 'file') return createFileTransport();
+  if (key === 'console') return createConsoleTransport();
+  throw new Error(`Unknown notification transport "${name}". Expected smtp, gateway, file, console or none`);
+}
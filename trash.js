@@ -0,0 +1,177 @@
+// trash.js
+// Soft delete for tracking records. Deleting copies the record into the 'trash' collection
+// (an '_trash' tab with the sheets backend) before the row is removed, so lookups and listings no
+// longer see it but it can be restored (into the branch it was deleted from). Trashed records are purged
+// after TRASH_RETENTION_DAYS.
+// Exports: TRASH_RETENTION_DAYS, moveToTrash, listTrash, restoreFromTrash, deleteFromTrash, purgeTrash, startTrashPurge
+
+import crypto from 'crypto';
+import {
+  getRowByTrackingId,
+  deleteRow,
+  restoreRow,
+  getRecordVersion,
+  listCollection,
+  appendToCollection,
+  replaceCollection,
+} from './storage.js';
+import { normalizeTrackingId, parseDate } from './records.js';
+import { branchForTrackingId } from './branches.js';
+
+const COLLECTION = 'trash';
+const DAY_MS = 24 * 60 * 60000;
+const PURGE_INTERVAL_MS = 6 * 60 * 60000;
+
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) > 0 ? Number(process.env.TRASH_RETENTION_DAYS) : 30;
+
+let queue = Promise.resolve(); // trash writes run one at a time: a purge or removal rewrites the whole collection
+
+/* Run fn after every earlier trash write has finished */
+function serialized(fn) {
+  const result = queue.then(fn, fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function actorName(actor) {
+  if (!actor) return 'system';
+  return actor.apiKey ? `apikey:${actor.apiKey}` : actor.username || 'unknown';
+}
+
+function purgeAt(entry) {
+  const ms = parseDate(entry.deletedAt);
+  return ms === null ? null : new Date(ms + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/* Entries written before branches existed belong to the branch their ID routes to */
+function entryBranch(entry) {
+  return entry.branch || branchForTrackingId(entry.trackingId).id;
+}
+
+/* Entry by id, or 404 (also when it belongs to a branch outside opts.branches) */
+async function findEntry(id, opts = {}) {
+  const entries = await listCollection(COLLECTION);
+  const entry = entries.find((e) => e.id === id);
+  if (!entry || (opts.branches && !opts.branches.includes(entryBranch(entry)))) throw httpError(404, 'Trash entry not found');
+  return entry;
+}
+
+/* Drop one entry; call inside serialized */
+async function removeEntryLocked(id) {
+  const entries = await listCollection(COLLECTION);
+  const remaining = entries.filter((e) => e.id !== id);
+  if (remaining.length !== entries.length) await replaceCollection(COLLECTION, remaining);
+  return entries.length - remaining.length;
+}
+
+function removeEntry(id) {
+  return serialized(() => removeEntryLocked(id));
+}
+
+/**
+ * moveToTrash(trackingId, { ifMatch, actor })
+ *
+ * Copies the record into the trash, then deletes the row. The delete is conditional on the
+ * version that was copied (or on ifMatch when given), so a concurrent edit fails with 412 and the
+ * copy is withdrawn instead of trashing stale data. Returns the trash entry, or null when not found.
+ */
+export async function moveToTrash(trackingId, opts = {}) {
+  const existing = await getRowByTrackingId(trackingId);
+  if (!existing) return null;
+
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    trackingId: existing.data.trackingId,
+    branch: existing.branch,
+    deletedAt: new Date().toISOString(),
+    deletedBy: actorName(opts.actor),
+    record: existing.data,
+  };
+  await serialized(() => appendToCollection(COLLECTION, entry));
+
+  try {
+    const ifMatch = opts.ifMatch || [await getRecordVersion(existing.data)];
+    await deleteRow(trackingId, { ifMatch, actor: opts.actor });
+  } catch (error) {
+    await removeEntry(entry.id).catch((e) => console.error('Could not withdraw trash entry', entry.id, e.message || e));
+    throw error;
+  }
+  return entry;
+}
+
+/* Trashed records, newest first; optional trackingId and branches (list of branch ids) filters */
+export async function listTrash({ trackingId, branches } = {}) {
+  const key = trackingId ? normalizeTrackingId(trackingId) : '';
+  const entries = await listCollection(COLLECTION);
+  return entries
+    .filter((e) => !key || normalizeTrackingId(e.trackingId) === key)
+    .filter((e) => !branches || branches.includes(entryBranch(e)))
+    .map((e) => ({ ...e, branch: entryBranch(e), purgeAt: purgeAt(e) }))
+    .reverse();
+}
+
+/**
+ * restoreFromTrash(id, { actor, branches })
+ *
+ * Puts a trashed record back as a row of its branch and removes it from the trash. 404 when the entry does not
+ * exist (or is outside branches), 409 when a record with the same trackingId was created in the meantime.
+ */
+export function restoreFromTrash(id, opts = {}) {
+  // one restore at a time, with the entry and the existence check read inside: a second restore of the
+  // same entry then finds it gone instead of inserting the record twice
+  return serialized(async () => {
+    const entry = await findEntry(id, opts);
+    if (!entry.record || typeof entry.record !== 'object') throw httpError(500, 'Trash entry has no record data');
+
+    // fast path; restoreRow checks again under the record lock, against a create of the same ID running meanwhile
+    if (await getRowByTrackingId(entry.trackingId)) {
+      throw httpError(409, `Tracking ID ${entry.trackingId} already exists; delete or rename it before restoring`);
+    }
+
+    const restored = await restoreRow(entry.record, { actor: opts.actor, branch: entryBranch(entry) });
+    await removeEntryLocked(id);
+    return restored;
+  });
+}
+
+/* Permanently remove one trash entry; returns false when it does not exist (or is outside opts.branches) */
+export async function deleteFromTrash(id, opts = {}) {
+  try {
+    await findEntry(id, opts);
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+  return (await removeEntry(id)) > 0;
+}
+
+/* Drop entries older than TRASH_RETENTION_DAYS; returns the number purged */
+export function purgeTrash(now = Date.now()) {
+  const cutoff = now - TRASH_RETENTION_DAYS * DAY_MS;
+  return serialized(async () => {
+    const entries = await listCollection(COLLECTION);
+    const kept = entries.filter((e) => {
+      const ms = parseDate(e.deletedAt);
+      return ms === null || ms > cutoff;
+    });
+    const purged = entries.length - kept.length;
+    if (purged) {
+      await replaceCollection(COLLECTION, kept);
+      console.log(`Purged ${purged} trashed record(s) older than ${TRASH_RETENTION_DAYS} days`);
+    }
+    return purged;
+  });
+}
+
+/* Purge once now and then every few hours (called once after initStorage) */
+export function startTrashPurge() {
+  const run = () => purgeTrash().catch((e) => console.error('Trash purge failed:', e.message || e));
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
@@ -0,0 +1,232 @@
+// users.js
+// Staff accounts with roles, stored in the 'users' collection with scrypt-hashed passwords.
+// Roles grant permissions; route middleware checks permissions, never role names.
+// An account may be limited to some branches (branches.js); an empty list means every branch. The manage functions
+// take the calling account as actor: a branch-limited actor only sees and changes accounts inside its own branches.
+// Users are held in memory and reloaded every USERS_TTL_MS so each request costs no API call.
+// Account changes run one at a time and re-read the collection first, so concurrent changes never undo each other.
+// Exports: ROLES, ROLE_PERMISSIONS, hasPermission, ensureBootstrapAdmin, authenticateUser, getUser,
+//          listUsers, createUser, updateUser, deleteUser
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { listCollection, replaceCollection } from './storage.js';
+import { coversBranches, grantableBranches } from './branches.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['admin', 'operator', 'viewer'];
+
+export const ROLE_PERMISSIONS = {
+  admin: ['track:read', 'track:write', 'track:delete', 'events:append', 'cache:manage', 'keys:manage', 'users:manage', 'audit:read', 'webhooks:manage', 'notifications:manage', 'schema:manage'],
+  operator: ['track:read', 'track:write', 'events:append', 'cache:manage'],
+  viewer: ['track:read'],
+};
+
+const COLLECTION = 'users';
+const USERS_TTL_MS = 60000;
+const USERNAME_RE = /^[a-z0-9._-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+let users = [];
+let loadedAt = 0;
+let queue = Promise.resolve();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* Run fn after every earlier account change has finished */
+function serialized(fn) {
+  const result = queue.then(fn, fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/* Never hand the password hash out */
+function publicView(u) {
+  const { passwordHash, ...rest } = u;
+  return rest;
+}
+
+/* scrypt$<salt>$<hash>, both base64 */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${derived.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  const derived = await scrypt(String(password), Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, derived);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw httpError(400, `role must be one of: ${ROLES.join(', ')}`);
+}
+
+async function loadUsers(force = false) {
+  if (!force && loadedAt && Date.now() - loadedAt < USERS_TTL_MS) return users;
+  users = await listCollection(COLLECTION);
+  loadedAt = Date.now();
+  return users;
+}
+
+async function saveUsers(next) {
+  await replaceCollection(COLLECTION, next);
+  users = next;
+  loadedAt = Date.now();
+}
+
+function activeAdmins(list) {
+  return list.filter((u) => u.role === 'admin' && !u.disabled);
+}
+
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/* Seed an admin from ADMIN_USERNAME/ADMIN_PASSWORD when no users exist yet */
+export function ensureBootstrapAdmin(username, password) {
+  return serialized(() => bootstrapAdmin(username, password));
+}
+
+async function bootstrapAdmin(username, password) {
+  const all = await loadUsers(true);
+  if (all.length > 0 || !username || !password) return false;
+  await saveUsers([
+    {
+      username: normalizeUsername(username),
+      passwordHash: await hashPassword(password),
+      role: 'admin',
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      createdBy: 'bootstrap',
+    },
+  ]);
+  console.log('Created initial admin user from ADMIN_USERNAME:', normalizeUsername(username));
+  return true;
+}
+
+/* Check credentials. Returns the public user or null */
+export async function authenticateUser(username, password) {
+  const all = await loadUsers();
+  const user = all.find((u) => u.username === normalizeUsername(username));
+  if (!user || user.disabled) {
+    // spend the same time as a real check so unknown usernames are not detectable
+    await hashPassword(password);
+    return null;
+  }
+  return (await verifyPassword(password, user.passwordHash)) ? publicView(user) : null;
+}
+
+/* Current (cached) view of a user, or null if unknown/disabled */
+export async function getUser(username) {
+  const all = await loadUsers();
+  const user = all.find((u) => u.username === normalizeUsername(username));
+  return user && !user.disabled ? publicView(user) : null;
+}
+
+export async function listUsers(actor = null) {
+  const all = await loadUsers(true);
+  return all.filter((u) => coversBranches(actor, u.branches)).map(publicView);
+}
+
+/* Index of username among all, 404 when unknown or outside the actor's branches */
+function findManaged(all, username, actor) {
+  const idx = all.findIndex((u) => u.username === normalizeUsername(username));
+  if (idx === -1 || !coversBranches(actor, all[idx].branches)) throw httpError(404, 'User not found');
+  return idx;
+}
+
+/* branches defaults to the actor's own (every branch for unrestricted actors), see grantableBranches */
+export async function createUser({ username, password, role = 'viewer', branches }, createdBy = '', actor = null) {
+  const name = normalizeUsername(username);
+  if (!USERNAME_RE.test(name)) throw httpError(400, 'username must be 3-64 characters of a-z, 0-9, . _ -');
+  validatePassword(password);
+  validateRole(role);
+  const branchList = grantableBranches(actor, branches);
+  // hashed before queueing: scrypt is slow and needs no stored state
+  const passwordHash = await hashPassword(password);
+
+  return serialized(async () => {
+    const all = await loadUsers(true);
+    if (all.some((u) => u.username === name)) throw httpError(409, 'User already exists');
+
+    const user = {
+      username: name,
+      passwordHash,
+      role,
+      branches: branchList,
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      createdBy,
+    };
+    await saveUsers([...all, user]);
+    return publicView(user);
+  });
+}
+
+/* disabled flag from a request body: a boolean or 'true' / 'false' */
+function parseDisabled(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw httpError(400, 'disabled must be true or false');
+}
+
+/* Change password, role, branches and/or disabled flag. The last active admin cannot be demoted or disabled */
+export async function updateUser(username, { password, role, branches, disabled }, actor = null) {
+  const changes = {};
+  if (password !== undefined) {
+    validatePassword(password);
+    changes.passwordHash = await hashPassword(password);
+    changes.passwordChangedAt = new Date().toISOString();
+  }
+  if (role !== undefined) {
+    validateRole(role);
+    changes.role = role;
+  }
+  if (branches !== undefined) changes.branches = grantableBranches(actor, branches);
+  if (disabled !== undefined) changes.disabled = parseDisabled(disabled);
+
+  return serialized(async () => {
+    const all = await loadUsers(true);
+    const idx = findManaged(all, username, actor);
+    const next = { ...all[idx], ...changes };
+
+    const updated = all.map((u, i) => (i === idx ? next : u));
+    if (activeAdmins(updated).length === 0) throw httpError(409, 'Cannot remove the last active admin');
+
+    await saveUsers(updated);
+    return publicView(next);
+  });
+}
+
+export function deleteUser(username, actor = null) {
+  return serialized(async () => {
+    const all = await loadUsers(true);
+    const name = normalizeUsername(username);
+    findManaged(all, name, actor);
+
+    const remaining = all.filter((u) => u.username !== name);
+    if (activeAdmins(remaining).length === 0) throw httpError(409, 'Cannot remove the last active admin');
+
+    await saveUsers(remaining);
+    return true;
+  });
+}
@@ -0,0 +1,454 @@
+// webhooks.js
+// Outgoing webhooks for partners. Admins register subscriptions (URL, secret, event types, optional
+// trackingId filter); record changes from storage (onRecordChange) become JSON payloads that are POSTed
+// with an HMAC-SHA256 signature. The 'webhookDeliveries' collection is both the persistent retry queue
+// and the delivery log: failed attempts are retried with exponential backoff up to WEBHOOK_MAX_ATTEMPTS,
+// and any delivery can be replayed. New deliveries are appended to it; attempt results are written back and the
+// log is pruned by the poll loop, at most once per WEBHOOK_POLL_MS.
+// Webhook URLs must not point at loopback, private, link-local or otherwise internal addresses (checked on
+// registration and again before every attempt, after DNS resolution) unless the host is in WEBHOOK_ALLOWED_HOSTS.
+// The connection goes to the address that passed the check, and redirects are not followed.
+//
+// Headers on every delivery:
+//   X-Webhook-Event      shipment.created | shipment.status_changed | shipment.event_appended
+//   X-Webhook-Id         event id (the same for retries and replays, so receivers can de-duplicate)
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+// Exports: WEBHOOK_EVENTS, signPayload, createWebhook, listWebhooks, updateWebhook, deleteWebhook,
+//          listDeliveries, replayDelivery, startWebhooks
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { lookup } from 'dns/promises';
+import { onRecordChange, listCollection, appendToCollection, replaceCollection } from './storage.js';
+import { normalizeTrackingId } from './records.js';
+import { applyFieldPolicy } from './fields.js';
+
+export const WEBHOOK_EVENTS = ['shipment.created', 'shipment.status_changed', 'shipment.event_appended'];
+
+const COLLECTION = 'webhooks';
+const DELIVERIES = 'webhookDeliveries';
+const WEBHOOKS_TTL_MS = 60000;
+
+const envNumber = (name, fallback) => (Number(process.env[name]) > 0 ? Number(process.env[name]) : fallback);
+const MAX_ATTEMPTS = envNumber('WEBHOOK_MAX_ATTEMPTS', 8);
+const TIMEOUT_MS = envNumber('WEBHOOK_TIMEOUT_MS', 10000);
+const POLL_MS = envNumber('WEBHOOK_POLL_MS', 5000);
+const BASE_DELAY_MS = envNumber('WEBHOOK_RETRY_BASE_MS', 30000);
+const MAX_DELAY_MS = 6 * 60 * 60000;
+// finished deliveries kept in the log; pending ones are always kept
+const LOG_LIMIT = envNumber('WEBHOOK_LOG_LIMIT', 500);
+// hosts that may resolve to internal addresses (comma-separated, e.g. a partner relay inside the network)
+const ALLOWED_HOSTS = new Set(
+  (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map((h) => h.trim().toLowerCase()).filter(Boolean)
+);
+
+// loopback, private, shared, link-local, benchmark, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([prefix, bits]) =>
+  BLOCKED.addSubnet(prefix, bits, 'ipv6')
+);
+
+let webhooks = [];
+let loadedAt = 0;
+let deliveries = [];
+let started = false;
+let running = false;
+let rerun = false;
+let dirty = false;
+let persisting = Promise.resolve();
+let queue = Promise.resolve(); // subscription changes, one at a time: update and delete rewrite the whole collection
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/* Run fn after every earlier subscription change has finished */
+function serialized(fn) {
+  const result = queue.then(fn, fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+/* Never hand the secret out after creation */
+function publicView(w) {
+  const { secret, ...rest } = w;
+  return rest;
+}
+
+async function loadWebhooks(force = false) {
+  if (!force && loadedAt && Date.now() - loadedAt < WEBHOOKS_TTL_MS) return webhooks;
+  const items = await listCollection(COLLECTION);
+  webhooks = items.map((w) => ({
+    ...w,
+    events: Array.isArray(w.events) ? w.events : [],
+    active: w.active !== false,
+    trackingId: w.trackingId || '',
+  }));
+  loadedAt = Date.now();
+  return webhooks;
+}
+
+/* IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges by BlockList */
+function isBlockedAddress(address) {
+  return BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/* Reject URLs whose host is or resolves to an internal address, unless the host is allowlisted */
+async function checkTarget(url) {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (ALLOWED_HOSTS.has(host)) return;
+  if (host === 'localhost' || host.endsWith('.localhost')) throw httpError(400, 'url must not point at an internal address');
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+  } catch {
+    throw httpError(400, `url host ${host} does not resolve`);
+  }
+  if (addresses.some(isBlockedAddress)) throw httpError(400, 'url must not point at an internal address');
+}
+
+/* dns.lookup for the delivery request: the addresses it connects to are the ones checked here, so a name
+   that resolves elsewhere between checkTarget and the connect (DNS rebinding) is refused */
+function checkedLookup(allowed) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (!allowed && addresses.some((a) => isBlockedAddress(a.address))) {
+        return callback(httpError(400, 'url must not point at an internal address'));
+      }
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/* POST body to url and resolve with the status code; redirects are answers like any other */
+function postTo(url, headers, body) {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: checkedLookup(ALLOWED_HOSTS.has(host)),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch {
+    throw httpError(400, 'url must be an absolute http(s) URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw httpError(400, 'url must be an absolute http(s) URL');
+  await checkTarget(parsed.toString());
+  return parsed.toString();
+}
+
+function validateEvents(events) {
+  if (events === undefined) return [...WEBHOOK_EVENTS];
+  const list = Array.isArray(events) ? events.map((e) => String(e).trim()).filter(Boolean) : [];
+  const unknown = list.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (list.length === 0 || unknown.length) throw httpError(400, `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  return [...new Set(list)];
+}
+
+/* Signature header value for a body (see the header notes above) */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * createWebhook({ url, secret, events, trackingId, createdBy })
+ *
+ * events defaults to all WEBHOOK_EVENTS; secret is generated when not given (at least 16 characters otherwise).
+ * Returns { webhook, secret } where secret is only available now.
+ */
+export async function createWebhook({ url, secret, events, trackingId, createdBy }) {
+  const target = await validateUrl(url);
+  const types = validateEvents(events);
+  if (secret !== undefined && String(secret).length < 16) throw httpError(400, 'secret must be at least 16 characters');
+
+  const webhook = {
+    id: crypto.randomBytes(6).toString('hex'),
+    url: target,
+    secret: secret !== undefined ? String(secret) : `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    events: types,
+    trackingId: trackingId ? String(trackingId).trim() : '',
+    active: true,
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy || '',
+  };
+
+  await serialized(async () => {
+    await appendToCollection(COLLECTION, webhook);
+    await loadWebhooks(true);
+  });
+  return { webhook: publicView(webhook), secret: webhook.secret };
+}
+
+export async function listWebhooks() {
+  const all = await loadWebhooks(true);
+  return all.map(publicView);
+}
+
+/* Change url, events, trackingId or active. Returns the webhook or null if unknown */
+export async function updateWebhook(id, changes = {}) {
+  // validated before queueing: the URL check resolves DNS and needs no stored state
+  const url = changes.url !== undefined ? await validateUrl(changes.url) : undefined;
+  const events = changes.events !== undefined ? validateEvents(changes.events) : undefined;
+
+  return serialized(async () => {
+    // re-read inside the queue: the rewrite below must include every subscription created so far
+    const all = await loadWebhooks(true);
+    const target = all.find((w) => w.id === id);
+    if (!target) return null;
+
+    if (url !== undefined) target.url = url;
+    if (events !== undefined) target.events = events;
+    if (changes.trackingId !== undefined) target.trackingId = changes.trackingId ? String(changes.trackingId).trim() : '';
+    if (changes.active !== undefined) target.active = changes.active === true || changes.active === 'true';
+
+    await replaceCollection(COLLECTION, all);
+    return publicView(target);
+  });
+}
+
+/* Remove a subscription; its pending deliveries fail on their next attempt */
+export async function deleteWebhook(id) {
+  return serialized(async () => {
+    const all = await loadWebhooks(true);
+    const remaining = all.filter((w) => w.id !== id);
+    if (remaining.length === all.length) return false;
+    await replaceCollection(COLLECTION, remaining);
+    await loadWebhooks(true);
+    return true;
+  });
+}
+
+/* Run a write to the deliveries collection after the previous one; errors are logged, not thrown */
+function persist(fn) {
+  persisting = persisting.then(fn).catch((error) => console.error('Could not save webhook deliveries:', error.message || error));
+  return persisting;
+}
+
+/* Add new deliveries to the end of the log */
+function appendDeliveries(items) {
+  return persist(() => appendToCollection(DELIVERIES, items));
+}
+
+/* Periodic job: write attempt results back and trim old finished deliveries, in one rewrite of the log */
+function flushDeliveries() {
+  const finished = deliveries.filter((d) => d.status !== 'pending');
+  if (!dirty && finished.length <= LOG_LIMIT) return persisting;
+  dirty = false;
+  return persist(() => {
+    // pruned and snapshotted when the write runs, so appends queued before it are part of the snapshot
+    const done = deliveries.filter((d) => d.status !== 'pending');
+    if (done.length > LOG_LIMIT) {
+      const drop = new Set(done.slice(0, done.length - LOG_LIMIT));
+      deliveries = deliveries.filter((d) => !drop.has(d));
+    }
+    return replaceCollection(DELIVERIES, deliveries.slice());
+  });
+}
+
+/* Exponential backoff with +/-20% jitter: 30s, 1m, 2m, ... capped at 6h */
+function retryDelay(attempts) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+async function attempt(delivery) {
+  const webhook = webhooks.find((w) => w.id === delivery.webhookId);
+  delivery.lastAttemptAt = new Date().toISOString();
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.error = webhook ? 'webhook is disabled' : 'webhook no longer exists';
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  delivery.attempts = Number(delivery.attempts || 0) + 1;
+  try {
+    // again at send time: the name may resolve elsewhere than at registration
+    await checkTarget(webhook.url);
+    const status = await postTo(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'tks-webhooks/1',
+      'X-Webhook-Event': delivery.type,
+      'X-Webhook-Id': delivery.eventId,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Signature': signPayload(webhook.secret, body),
+    }, body);
+    delivery.responseStatus = status;
+    if (status >= 200 && status < 300) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.error = '';
+      return;
+    }
+    delivery.error = status >= 300 && status < 400 ? `HTTP ${status} (redirect not followed)` : `HTTP ${status}`;
+  } catch (error) {
+    delivery.responseStatus = '';
+    delivery.error = String(error.message || error).slice(0, 200);
+  }
+
+  if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts)).toISOString();
+  }
+}
+
+/* Send every due delivery, one at a time; a call during a run schedules one more run */
+async function processQueue() {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  rerun = false;
+  try {
+    const now = Date.now();
+    const due = deliveries.filter((d) => d.status === 'pending' && Date.parse(d.nextAttemptAt) <= now);
+    if (!due.length) return;
+    await loadWebhooks();
+    for (const delivery of due) await attempt(delivery);
+    dirty = true;
+  } catch (error) {
+    console.error('Webhook queue run failed:', error.message || error);
+  } finally {
+    running = false;
+    if (rerun) processQueue();
+  }
+}
+
+function enqueue(webhook, payload) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: newId(),
+    webhookId: webhook.id,
+    eventId: payload.id,
+    type: payload.type,
+    trackingId: payload.trackingId,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastAttemptAt: '',
+    responseStatus: '',
+    error: '',
+    createdAt: now,
+    deliveredAt: '',
+  };
+  deliveries.push(delivery);
+  return delivery;
+}
+
+/* Webhook events raised by one storage change */
+function eventsFor(change) {
+  const types = [];
+  const before = change.before || {};
+  const after = change.after;
+  // deletes and trash restores raise nothing: a restored record comes back unchanged, status included
+  if (!after || change.action === 'restore') return types;
+
+  if (change.action === 'create') types.push({ type: 'shipment.created' });
+  else if (before.status !== after.status) types.push({ type: 'shipment.status_changed', previousStatus: before.status || null });
+  if (change.action === 'event') types.push({ type: 'shipment.event_appended', event: change.event || null });
+  return types;
+}
+
+async function handleChange(change) {
+  const raised = eventsFor(change);
+  if (!raised.length) return;
+
+  const subscribers = (await loadWebhooks()).filter((w) => w.active);
+  if (!subscribers.length) return;
+
+  // partners see what the public tracking page shows
+  const data = applyFieldPolicy(change.after, 'public');
+  const key = normalizeTrackingId(change.trackingId);
+  const queued = [];
+
+  raised.forEach(({ type, ...extra }) => {
+    const payload = { id: newId(), type, createdAt: change.at, trackingId: change.trackingId, ...extra, data };
+    subscribers
+      .filter((w) => w.events.includes(type) && (!w.trackingId || normalizeTrackingId(w.trackingId) === key))
+      .forEach((w) => {
+        queued.push(enqueue(w, payload));
+      });
+  });
+
+  if (queued.length) {
+    await appendDeliveries(queued);
+    processQueue();
+  }
+}
+
+/**
+ * listDeliveries({ webhookId, status, trackingId, limit })
+ *
+ * Delivery log, newest first (limit defaults to 100, max 1000).
+ */
+export async function listDeliveries({ webhookId, status, trackingId, limit } = {}) {
+  const key = trackingId ? normalizeTrackingId(trackingId) : '';
+  const max = Math.min(Number(limit) > 0 ? Math.floor(Number(limit)) : 100, 1000);
+  return deliveries
+    .filter((d) => (!webhookId || d.webhookId === webhookId) && (!status || d.status === status))
+    .filter((d) => !key || normalizeTrackingId(d.trackingId) === key)
+    .reverse()
+    .slice(0, max);
+}
+
+/* Queue a fresh copy of a logged delivery (same event id and payload). Returns it, or null if unknown */
+export async function replayDelivery(id) {
+  const original = deliveries.find((d) => d.id === id);
+  if (!original) return null;
+  const webhook = (await loadWebhooks(true)).find((w) => w.id === original.webhookId);
+  if (!webhook) throw httpError(409, 'The webhook of this delivery no longer exists');
+
+  const delivery = enqueue(webhook, original.payload);
+  delivery.replayOf = original.id;
+  await appendDeliveries([delivery]);
+  processQueue();
+  return delivery;
+}
+
+/* Load the queue, subscribe to record changes and start the retry loop (called once after initStorage) */
+export async function startWebhooks() {
+  if (started) return;
+  started = true;
+  const items = await listCollection(DELIVERIES);
+  deliveries = items.map((d) => ({ ...d, attempts: Number(d.attempts || 0) }));
+  onRecordChange(handleChange);
+  setInterval(() => processQueue().then(flushDeliveries), POLL_MS).unref();
+  processQueue();
+}